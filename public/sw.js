@@ -0,0 +1,80 @@
+// Service worker that keeps the game playable offline.
+//
+// The page shell, public/ assets and Vite's build output are cached on install. The build output
+// has hashed file names, so it is served from the cache first; anything under /assets/ that wasn't
+// precached is cached the first time it is fetched. Everything else (the page, beatmaps, songs) is
+// fetched from the network first, falling back to the cache, so updates show up when online and
+// previously played songs still work offline.
+// Bump CACHE_NAME when the list of public/ files changes; build changes get a new BUILD_VERSION.
+
+// Both filled in by the precache plugin in vite.config.js when building
+const BUILD_VERSION = "dev";
+const BUILD_ASSETS = [];
+
+const CACHE_NAME = `beat-saber-clone-v1-${BUILD_VERSION}`;
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "textures/skybox/px.png",
+  "textures/skybox/nx.png",
+  "textures/skybox/py.png",
+  "textures/skybox/ny.png",
+  "textures/skybox/pz.png",
+  "textures/skybox/nz.png",
+  "beatmaps/index.json",
+  "beatmaps/demo.json",
+  ...BUILD_ASSETS,
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  const isHashedAsset = url.pathname.includes("/assets/");
+  event.respondWith(isHashedAsset ? cacheFirst(request) : networkFirst(request));
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
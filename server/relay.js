@@ -0,0 +1,211 @@
+// Relay for multiplayer and spectating: clients in the same room get each other's messages.
+// A WebSocket server on node:http without dependencies; the dev server proxies /relay to it, so
+// `npm run relay` next to `npm run dev` is all that is needed, in VR over the LAN too. It listens on
+// 127.0.0.1 only; set HOST (e.g. 0.0.0.0) and PORT to change that.
+//
+// Clients connect to ws://host:port/<room> and exchange JSON text messages. The relay answers
+// { type: "ping", sent } with { type: "pong", sent, serverTime } for clock sync, remembers
+// { type: "hello", role, name } and tells the room who is in it with { type: "peers", you, peers },
+// and passes every other message on to the rest of the room with the sender's id as `from`.
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { performance } from "node:perf_hooks";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "127.0.0.1"; // Only this machine; the dev server proxy reaches it here
+const MAX_MESSAGE_BYTES = 1 << 20;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+const rooms = new Map(); // room name -> Set of clients
+let nextId = 1;
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// One connected socket: reassembles client frames into messages
+class Client {
+  constructor(socket, room) {
+    this.id = nextId++;
+    this.socket = socket;
+    this.room = room;
+    this.role = "player";
+    this.name = `Player ${this.id}`;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+    socket.on("data", (data) => this.receive(data));
+    socket.on("close", () => this.close());
+    socket.on("error", () => this.close());
+  }
+
+  get info() {
+    return { id: this.id, role: this.role, name: this.name };
+  }
+
+  send(message) {
+    if (!this.closed) this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  // The next whole frame in the buffer, or null until more data arrives
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (!masked || length > MAX_MESSAGE_BYTES) {
+      // Clients must mask their frames, and nothing in the game sends this much at once
+      this.close();
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODE_TEXT:
+      case OPCODE_CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.handleMessage(text);
+        }
+        break;
+      case OPCODE_PING:
+        this.socket.write(encodeFrame(OPCODE_PONG, payload));
+        break;
+      case OPCODE_CLOSE:
+        this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+        this.close();
+        break;
+    }
+  }
+
+  handleMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (!message || typeof message.type !== "string") return;
+
+    switch (message.type) {
+      case "ping":
+        this.send({ type: "pong", sent: message.sent, serverTime: performance.now() / 1000 });
+        break;
+      case "hello":
+        if (message.role === "player" || message.role === "spectator") this.role = message.role;
+        this.name =
+          typeof message.name === "string" && message.name ? message.name.slice(0, 32) : `${this.role === "spectator" ? "Spectator" : "Player"} ${this.id}`;
+        announcePeers(this.room);
+        break;
+      default:
+        this.room.forEach((client) => {
+          if (client !== this) client.send({ ...message, from: this.id });
+        });
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.socket.destroy();
+    this.room.delete(this);
+    announcePeers(this.room);
+  }
+}
+
+// Tell everyone in a room who else is in it
+function announcePeers(room) {
+  room.forEach((client) => {
+    const peers = [...room].filter((other) => other !== client).map((other) => other.info);
+    client.send({ type: "peers", you: client.id, peers });
+  });
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" });
+  response.end("WebSocket relay: connect to ws://host:port/<room>\n");
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  // The room is the last part of the path, so /relay/<room> through the dev server proxy works too
+  let name;
+  try {
+    name = decodeURIComponent(new URL(request.url, "http://localhost").pathname.split("/").filter(Boolean).pop() || "lobby");
+  } catch {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n"));
+  socket.setNoDelay(true);
+
+  if (!rooms.has(name)) rooms.set(name, new Set());
+  const room = rooms.get(name);
+  const client = new Client(socket, room);
+  room.add(client);
+  socket.on("close", () => {
+    if (room.size === 0 && rooms.get(name) === room) rooms.delete(name);
+  });
+  announcePeers(room);
+});
+
+server.listen(PORT, HOST, () => console.log(`Relay listening on ws://${HOST}:${PORT}`));
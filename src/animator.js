@@ -0,0 +1,57 @@
+// Frame-driven animations and timers, ticked once per frame from the game loop.
+// Everything advances by the frame delta, so effects stay in step with the XR frame,
+// freeze while the game is paused and can be stepped by hand.
+
+export class Animator {
+  constructor() {
+    this.tasks = [];
+  }
+
+  // update(delta, elapsed) runs every frame until it returns true or the task is cancelled.
+  // Pausable tasks hold still while update() is called with paused set.
+  add(update, { pausable = true } = {}) {
+    const task = { update, pausable, elapsed: 0, done: false };
+    this.tasks.push(task);
+    return task;
+  }
+
+  // update(progress, elapsed) with progress going from 0 to 1 over duration seconds
+  tween(duration, update, { onComplete = null, pausable = true } = {}) {
+    return this.add(
+      (delta, elapsed) => {
+        const progress = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+        update(progress, Math.min(elapsed, duration));
+        if (progress < 1) return false;
+        if (onComplete) onComplete();
+        return true;
+      },
+      { pausable },
+    );
+  }
+
+  delay(seconds, callback, options) {
+    return this.tween(seconds, () => {}, { ...options, onComplete: callback });
+  }
+
+  cancel(task) {
+    task.done = true;
+  }
+
+  clear() {
+    this.tasks.forEach((task) => this.cancel(task));
+    this.tasks = [];
+  }
+
+  // Advance all tasks by delta seconds; tasks added during the update start on the next one
+  update(delta, paused = false) {
+    const tasks = this.tasks;
+    const count = tasks.length;
+    for (let i = 0; i < count; i++) {
+      const task = tasks[i];
+      if (task.done || (paused && task.pausable)) continue;
+      task.elapsed += delta;
+      if (task.update(delta, task.elapsed)) task.done = true;
+    }
+    this.tasks = this.tasks.filter((task) => !task.done);
+  }
+}
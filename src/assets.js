@@ -0,0 +1,50 @@
+import * as THREE from "three";
+import { HUD_FONT_FAMILY } from "./hud.js";
+
+// Bundled assets, served from public/ so they work offline once the service worker has cached them.
+// They are all loaded up front, with progress reported for the loading screen.
+
+const SKYBOX_FACES = ["px", "nx", "py", "ny", "pz", "nz"]; // CubeTextureLoader order
+export const SKYBOX_URLS = SKYBOX_FACES.map((face) => `textures/skybox/${face}.png`);
+
+// HUD and menu text weights; the font files themselves are bundled by Vite from @fontsource
+const FONT_SPECS = [`32px ${HUD_FONT_FAMILY}`, `bold 32px ${HUD_FONT_FAMILY}`];
+
+export class AssetManager {
+  constructor() {
+    this.manager = new THREE.LoadingManager();
+    this.skybox = null;
+    this.failed = [];
+    this.onProgress = null; // Called with (loaded, total) whenever an item finishes
+
+    this.manager.onProgress = (url, loaded, total) => {
+      if (this.onProgress) this.onProgress(loaded, total);
+    };
+    this.manager.onError = (url) => {
+      console.error(`Failed to load ${url}`);
+      this.failed.push(url);
+    };
+  }
+
+  // Resolves once every item has loaded or failed; the game runs without the ones that failed
+  load() {
+    return new Promise((resolve) => {
+      this.manager.onLoad = () => {
+        if (SKYBOX_URLS.some((url) => this.failed.includes(url))) this.skybox = null;
+        resolve(this);
+      };
+      this.skybox = new THREE.CubeTextureLoader(this.manager).load(SKYBOX_URLS);
+      FONT_SPECS.forEach((spec) => this.loadFont(spec));
+    });
+  }
+
+  // Fonts load through the CSS Font Loading API but count towards the same progress
+  loadFont(spec) {
+    if (!document.fonts) return;
+    this.manager.itemStart(spec);
+    document.fonts
+      .load(spec)
+      .catch(() => this.manager.itemError(spec))
+      .finally(() => this.manager.itemEnd(spec));
+  }
+}
@@ -0,0 +1,180 @@
+// Song playback on the Web Audio API and the song clock that drives gameplay.
+//
+// The clock keeps running without a loaded buffer so maps without audio can still be played.
+
+export class SongPlayer {
+  constructor() {
+    this.context = null;
+    this.gain = null;
+    this.buffer = null;
+    this.source = null;
+    this.playing = false;
+    this.startedAt = 0; // Context time of song time 0
+    this.pausedAt = 0; // Song time while paused
+    this.latencyOffset = 0; // Manual calibration in seconds, positive values delay the clock
+    this.playbackRate = 1; // Song seconds per second
+    this.volume = 1;
+    this.analyser = null;
+    this.frequencies = null;
+    this.onEnded = null;
+  }
+
+  getContext() {
+    if (!this.context) {
+      this.context = new AudioContext({ latencyHint: "interactive" });
+      this.gain = this.context.createGain();
+      this.gain.gain.value = this.volume;
+      this.gain.connect(this.context.destination);
+      // Fed before the gain, so the lights keep reacting with the volume turned down
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 1024;
+      this.frequencies = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+    return this.context;
+  }
+
+  // Browsers keep the context suspended until a user gesture
+  unlock() {
+    const context = this.getContext();
+    if (context.state === "suspended") {
+      return context.resume();
+    }
+    return Promise.resolve();
+  }
+
+  async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    const data = await response.arrayBuffer();
+    this.stop();
+    this.buffer = await this.getContext().decodeAudioData(data);
+    return this.buffer;
+  }
+
+  // Use a song decoded earlier, e.g. the one the editor keeps while its map is playtested
+  setBuffer(buffer) {
+    this.stop();
+    this.buffer = buffer;
+  }
+
+  unload() {
+    this.stop();
+    this.buffer = null;
+  }
+
+  get duration() {
+    return this.buffer ? this.buffer.duration : Infinity;
+  }
+
+  // Kept until the context exists, so it can be set before the first user gesture
+  setVolume(volume) {
+    this.volume = volume;
+    if (this.gain) this.gain.gain.value = volume;
+  }
+
+  // Loudness of the playing song below maxFrequency (Hz), from 0 to 1, for music-reactive effects
+  getBassLevel(maxFrequency = 150) {
+    if (!this.playing || !this.source) return 0;
+    this.analyser.getByteFrequencyData(this.frequencies);
+    const binWidth = this.context.sampleRate / this.analyser.fftSize;
+    const bins = Math.max(1, Math.ceil(maxFrequency / binWidth));
+    let sum = 0;
+    for (let i = 0; i < bins; i++) sum += this.frequencies[i];
+    return sum / bins / 255;
+  }
+
+  // Context time that is currently leaving the speakers
+  getOutputTime() {
+    const context = this.getContext();
+    if (context.getOutputTimestamp) {
+      const timestamp = context.getOutputTimestamp();
+      if (timestamp.performanceTime) {
+        // Extrapolate from the last output timestamp so the clock advances smoothly between audio callbacks
+        return timestamp.contextTime + (performance.now() - timestamp.performanceTime) / 1000;
+      }
+    }
+    return context.currentTime - (context.outputLatency || context.baseLatency || 0);
+  }
+
+  // Song time in seconds, compensated for output latency
+  get currentTime() {
+    if (!this.playing) {
+      return this.pausedAt;
+    }
+    return Math.max(0, (this.getOutputTime() - this.startedAt - this.latencyOffset) * this.playbackRate);
+  }
+
+  play(from = 0) {
+    const context = this.getContext();
+    this.stopSource();
+    this.unlock();
+
+    const offset = Math.max(0, from);
+    if (this.buffer && offset < this.buffer.duration) {
+      const source = context.createBufferSource();
+      source.buffer = this.buffer;
+      source.playbackRate.value = this.playbackRate;
+      source.connect(this.gain);
+      source.connect(this.analyser);
+      source.onended = () => {
+        if (this.source !== source) return;
+        this.source = null;
+        this.playing = false;
+        this.pausedAt = this.buffer.duration;
+        if (this.onEnded) this.onEnded();
+      };
+      source.start(context.currentTime, offset);
+      this.source = source;
+    }
+
+    // getOutputTime() reports the context time that is audible, so latency is already accounted for there
+    this.startedAt = context.currentTime - offset / this.playbackRate;
+    this.playing = true;
+  }
+
+  // Faster or slower song, e.g. for modifiers; the song carries on from where it is
+  setPlaybackRate(rate) {
+    if (rate === this.playbackRate) return;
+    const time = this.currentTime;
+    this.playbackRate = rate;
+    if (this.playing) this.play(time);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.pausedAt = this.currentTime;
+    this.stopSource();
+    this.playing = false;
+  }
+
+  resume() {
+    if (this.playing) return;
+    this.play(this.pausedAt);
+  }
+
+  seek(time) {
+    if (this.playing) {
+      this.play(time);
+    } else {
+      this.pausedAt = Math.max(0, time);
+    }
+  }
+
+  stop() {
+    this.stopSource();
+    this.playing = false;
+    this.pausedAt = 0;
+  }
+
+  stopSource() {
+    if (this.source) {
+      const source = this.source;
+      this.source = null;
+      source.onended = null;
+      source.stop();
+      source.disconnect();
+    }
+  }
+}
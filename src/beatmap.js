@@ -0,0 +1,408 @@
+// Beatmap format, loaders and note scheduling.
+//
+// Native format (JSON):
+// {
+//   "title": "Demo", "difficulty": "Normal", "song": "song.ogg", "bpm": 120, "offset": 0, "noteJumpSpeed": 10,
+//   "notes": [{ "time": 4, "lane": 0, "layer": 1, "color": "red", "direction": "down" }],
+//   "bombs": [{ "time": 6, "lane": 2, "layer": 0 }],
+//   "obstacles": [{ "time": 8, "duration": 2, "lane": 0, "width": 1, "type": "full" }],
+//   "events": [{ "time": 4, "group": "leftLasers", "effect": "flash", "color": "red" }],
+//   "bpmChanges": [{ "time": 64, "bpm": 140 }]
+// }
+// time and duration are in beats, lane is 0-3 (left to right), layer is 0-2 (bottom to top).
+// Beats are counted at "bpm" from the song offset until the first of the optional bpmChanges, which
+// sets the tempo from its beat on.
+// events are optional lighting events for the environment; maps without them get lights that react to the music.
+
+export const CUT_DIRECTIONS = ["up", "down", "left", "right", "upLeft", "upRight", "downLeft", "downRight", "any"];
+export const NOTE_COLORS = ["red", "blue"];
+export const OBSTACLE_TYPES = ["full", "crouch"];
+// Light groups in the order of Beat Saber's event types 0-4
+export const LIGHT_GROUPS = ["backLasers", "ringLights", "leftLasers", "rightLasers", "centerLights"];
+export const LIGHT_EFFECTS = ["off", "on", "flash", "fade"];
+
+export const LANE_COUNT = 4;
+export const LAYER_COUNT = 3;
+export const DEFAULT_NOTE_JUMP_SPEED = 10; // meters per second
+
+// World-space placement of the lane grid
+export const LANE_WIDTH = 0.6;
+export const LAYER_HEIGHT = 0.5;
+export const BOTTOM_LAYER_Y = 1.0;
+
+export function laneToX(lane) {
+  return (lane - (LANE_COUNT - 1) / 2) * LANE_WIDTH;
+}
+
+export function layerToY(layer) {
+  return BOTTOM_LAYER_Y + layer * LAYER_HEIGHT;
+}
+
+export function beatsToSeconds(beats, bpm) {
+  return (beats * 60) / bpm;
+}
+
+// Converts between beats and song seconds for a map whose tempo changes
+export class TempoMap {
+  // changes: [{ time, bpm }] with time in beats, sorted
+  constructor(bpm, offset = 0, changes = []) {
+    this.offset = offset;
+    this.segments = [{ beat: 0, seconds: 0, bpm }];
+    changes.forEach(({ time, bpm: nextBpm }) => {
+      const last = this.segments.at(-1);
+      if (time <= last.beat) {
+        last.bpm = nextBpm;
+        return;
+      }
+      this.segments.push({ beat: time, seconds: last.seconds + beatsToSeconds(time - last.beat, last.bpm), bpm: nextBpm });
+    });
+  }
+
+  // Last segment whose key (beat or seconds) is at or before value
+  segmentAt(key, value) {
+    let segment = this.segments[0];
+    for (const next of this.segments) {
+      if (next[key] > value) break;
+      segment = next;
+    }
+    return segment;
+  }
+
+  toSeconds(beats) {
+    const segment = this.segmentAt("beat", beats);
+    return this.offset + segment.seconds + beatsToSeconds(beats - segment.beat, segment.bpm);
+  }
+
+  toBeats(seconds) {
+    const segment = this.segmentAt("seconds", seconds - this.offset);
+    return segment.beat + ((seconds - this.offset - segment.seconds) * segment.bpm) / 60;
+  }
+
+  bpmAt(beats) {
+    return this.segmentAt("beat", beats).bpm;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function parseTime(object, kind, index) {
+  const time = Number(object.time);
+  if (!Number.isFinite(time)) {
+    throw new Error(`${kind} ${index} has invalid time: ${object.time}`);
+  }
+  return time;
+}
+
+function parseLane(value) {
+  return clamp(Math.round(Number(value) || 0), 0, LANE_COUNT - 1);
+}
+
+function parseLayer(value) {
+  return clamp(Math.round(Number(value) || 0), 0, LAYER_COUNT - 1);
+}
+
+// Validate and normalize a beatmap in the native format
+export function parseBeatmap(data) {
+  if (!data || typeof data !== "object") {
+    throw new Error("Beatmap must be an object");
+  }
+  const bpm = Number(data.bpm);
+  if (!(bpm > 0)) {
+    throw new Error(`Beatmap has invalid bpm: ${data.bpm}`);
+  }
+  if (!Array.isArray(data.notes)) {
+    throw new Error("Beatmap is missing a notes array");
+  }
+
+  const offset = Number(data.offset) || 0;
+  const bpmChanges = (data.bpmChanges || [])
+    .map((change, index) => {
+      const time = parseTime(change, "BPM change", index);
+      const changeBpm = Number(change.bpm);
+      if (!(changeBpm > 0)) {
+        throw new Error(`BPM change ${index} has invalid bpm: ${change.bpm}`);
+      }
+      return { time, bpm: changeBpm };
+    })
+    .sort((a, b) => a.time - b.time);
+  const tempo = new TempoMap(bpm, offset, bpmChanges);
+  const toSeconds = (time) => tempo.toSeconds(time);
+  const bySeconds = (a, b) => a.seconds - b.seconds;
+
+  const notes = data.notes
+    .map((note, index) => {
+      const time = parseTime(note, "Note", index);
+      if (!NOTE_COLORS.includes(note.color)) {
+        throw new Error(`Note ${index} has invalid color: ${note.color}`);
+      }
+      const direction = note.direction ?? "any";
+      if (!CUT_DIRECTIONS.includes(direction)) {
+        throw new Error(`Note ${index} has invalid direction: ${note.direction}`);
+      }
+      return {
+        type: "note",
+        time,
+        seconds: toSeconds(time),
+        lane: parseLane(note.lane),
+        layer: parseLayer(note.layer),
+        color: note.color,
+        direction,
+      };
+    })
+    .sort(bySeconds);
+
+  const bombs = (data.bombs || [])
+    .map((bomb, index) => {
+      const time = parseTime(bomb, "Bomb", index);
+      return {
+        type: "bomb",
+        time,
+        seconds: toSeconds(time),
+        lane: parseLane(bomb.lane),
+        layer: parseLayer(bomb.layer),
+      };
+    })
+    .sort(bySeconds);
+
+  const obstacles = (data.obstacles || [])
+    .map((obstacle, index) => {
+      const time = parseTime(obstacle, "Obstacle", index);
+      const duration = Number(obstacle.duration);
+      if (!(duration > 0)) {
+        throw new Error(`Obstacle ${index} has invalid duration: ${obstacle.duration}`);
+      }
+      const kind = obstacle.type ?? "full";
+      if (!OBSTACLE_TYPES.includes(kind)) {
+        throw new Error(`Obstacle ${index} has invalid type: ${obstacle.type}`);
+      }
+      const lane = parseLane(obstacle.lane);
+      return {
+        type: "obstacle",
+        time,
+        duration,
+        seconds: toSeconds(time),
+        endSeconds: toSeconds(time + duration),
+        lane,
+        width: clamp(Math.round(Number(obstacle.width) || 1), 1, LANE_COUNT - lane),
+        kind,
+      };
+    })
+    .sort(bySeconds);
+
+  const events = (data.events || [])
+    .map((event, index) => {
+      const time = parseTime(event, "Event", index);
+      if (!LIGHT_GROUPS.includes(event.group)) {
+        throw new Error(`Event ${index} has invalid group: ${event.group}`);
+      }
+      const effect = event.effect ?? "on";
+      if (!LIGHT_EFFECTS.includes(effect)) {
+        throw new Error(`Event ${index} has invalid effect: ${event.effect}`);
+      }
+      const color = event.color ?? "blue";
+      if (!NOTE_COLORS.includes(color)) {
+        throw new Error(`Event ${index} has invalid color: ${event.color}`);
+      }
+      return { type: "event", time, seconds: toSeconds(time), group: event.group, effect, color };
+    })
+    .sort(bySeconds);
+
+  return {
+    title: data.title || "Untitled",
+    difficulty: data.difficulty || "Normal",
+    song: data.song || null,
+    bpm,
+    offset,
+    bpmChanges,
+    noteJumpSpeed: Number(data.noteJumpSpeed) || DEFAULT_NOTE_JUMP_SPEED,
+    notes,
+    bombs,
+    obstacles,
+    events,
+  };
+}
+
+// Beat Saber stores cut directions as 0-8 in the same order as CUT_DIRECTIONS
+function datDirection(value) {
+  return CUT_DIRECTIONS[value] ?? "any";
+}
+
+function datColor(value) {
+  return value === 0 ? "red" : "blue";
+}
+
+// Lighting event from a Beat Saber event type and value. Values 1-4 are blue on/flash/fade/transition,
+// 5-8 the same in red; transitions play as "on". Other event types (rotation, boost) and white lights are skipped.
+function datLightEvent(time, type, value) {
+  const group = LIGHT_GROUPS[type];
+  if (!group || !(value >= 0 && value <= 8)) return null;
+  if (value === 0) return { time, group, effect: "off" };
+  const effect = ["on", "flash", "fade", "on"][(value - 1) % 4];
+  return { time, group, effect, color: value <= 4 ? "blue" : "red" };
+}
+
+// Convert a community Beat Saber difficulty file (v2 or v3) to the native format.
+// The difficulty file does not carry the BPM, so it has to come from Info.dat.
+export function convertDifficultyDat(dat, { bpm, noteJumpSpeed, offset = 0, title, difficulty, song } = {}) {
+  const base = { title, difficulty, song, bpm, offset, noteJumpSpeed };
+
+  // v3: colorNotes with single-letter keys, obstacles starting at the top layer are crouch walls
+  if (Array.isArray(dat.colorNotes)) {
+    return {
+      ...base,
+      notes: dat.colorNotes.map((note) => ({
+        time: note.b,
+        lane: note.x,
+        layer: note.y,
+        color: datColor(note.c),
+        direction: datDirection(note.d),
+      })),
+      bombs: (dat.bombNotes || []).map((bomb) => ({ time: bomb.b, lane: bomb.x, layer: bomb.y })),
+      obstacles: (dat.obstacles || []).map((obstacle) => ({
+        time: obstacle.b,
+        duration: obstacle.d,
+        lane: obstacle.x,
+        width: obstacle.w,
+        type: obstacle.y >= 2 ? "crouch" : "full",
+      })),
+      events: (dat.basicBeatmapEvents || []).map((event) => datLightEvent(event.b, event.et, event.i)).filter(Boolean),
+    };
+  }
+
+  // v2: _notes with underscore keys, _type 3 is a bomb; _obstacles _type 1 is a crouch wall
+  if (Array.isArray(dat._notes)) {
+    return {
+      ...base,
+      notes: dat._notes
+        .filter((note) => note._type === 0 || note._type === 1)
+        .map((note) => ({
+          time: note._time,
+          lane: note._lineIndex,
+          layer: note._lineLayer,
+          color: datColor(note._type),
+          direction: datDirection(note._cutDirection),
+        })),
+      bombs: dat._notes.filter((note) => note._type === 3).map((note) => ({ time: note._time, lane: note._lineIndex, layer: note._lineLayer })),
+      obstacles: (dat._obstacles || []).map((obstacle) => ({
+        time: obstacle._time,
+        duration: obstacle._duration,
+        lane: obstacle._lineIndex,
+        width: obstacle._width,
+        type: obstacle._type === 1 ? "crouch" : "full",
+      })),
+      events: (dat._events || []).map((event) => datLightEvent(event._time, event._type, event._value)).filter(Boolean),
+    };
+  }
+
+  throw new Error("Unrecognized difficulty format");
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Load a beatmap in the native format, or a single .dat difficulty file when options.bpm is given
+export async function loadBeatmap(url, options = {}) {
+  const data = await fetchJSON(url);
+  const beatmap = parseBeatmap(Array.isArray(data.notes) ? data : convertDifficultyDat(data, options));
+  if (beatmap.song) {
+    // Song paths are relative to the beatmap file
+    beatmap.song = new URL(beatmap.song, new URL(url, globalThis.location?.href)).href;
+  }
+  return beatmap;
+}
+
+// Load the list of playable songs: [{ "title": "Demo", "url": "demo.json" }] with urls relative to the list.
+// Songs without a map give "song", the url of the audio, instead of "url"; their maps are generated.
+export async function loadSongList(url) {
+  const songs = await fetchJSON(url);
+  if (!Array.isArray(songs)) {
+    throw new Error("Song list must be an array");
+  }
+  const base = new URL(url, globalThis.location?.href);
+  return songs.map((song) => ({
+    title: song.title || "Untitled",
+    url: song.url ? new URL(song.url, base).href : null,
+    song: song.song ? new URL(song.song, base).href : null,
+  }));
+}
+
+// Load a Beat Saber map folder through its Info.dat, picking a difficulty by name (e.g. "Expert")
+export async function loadBeatSaberMap(folderUrl, difficulty = null, characteristic = "Standard") {
+  const base = folderUrl.endsWith("/") ? folderUrl : `${folderUrl}/`;
+  const info = await fetchJSON(`${base}Info.dat`);
+
+  const set = (info._difficultyBeatmapSets || []).find((s) => s._beatmapCharacteristicName === characteristic);
+  if (!set || set._difficultyBeatmaps.length === 0) {
+    throw new Error(`Map has no ${characteristic} difficulties`);
+  }
+  const entry = difficulty ? set._difficultyBeatmaps.find((d) => d._difficulty === difficulty) : set._difficultyBeatmaps.at(-1);
+  if (!entry) {
+    throw new Error(`Map has no ${difficulty} difficulty`);
+  }
+
+  const dat = await fetchJSON(`${base}${entry._beatmapFilename}`);
+  return parseBeatmap(
+    convertDifficultyDat(dat, {
+      title: info._songName,
+      difficulty: entry._difficulty,
+      song: `${base}${info._songFilename}`,
+      bpm: info._beatsPerMinute,
+      noteJumpSpeed: entry._noteJumpMovementSpeed,
+      offset: info._songTimeOffset || 0,
+    }),
+  );
+}
+
+// Hands out notes, bombs and obstacles early enough that they reach the hit plane on their beat
+export class BeatmapScheduler {
+  constructor(beatmap, { spawnZ = -10, hitZ = 0, noteJumpSpeed = beatmap.noteJumpSpeed } = {}) {
+    this.beatmap = beatmap;
+    this.objects = [...beatmap.notes, ...beatmap.bombs, ...beatmap.obstacles].sort((a, b) => a.seconds - b.seconds);
+    // Song time at which the last object has reached the hit plane
+    this.endTime = this.objects.reduce((end, object) => Math.max(end, object.endSeconds ?? object.seconds), 0);
+    this.spawnZ = spawnZ;
+    this.hitZ = hitZ;
+    this.noteJumpSpeed = noteJumpSpeed; // meters per second of song time
+    this.nextIndex = 0;
+  }
+
+  // Seconds a note needs to travel from the spawn point to the hit plane
+  get travelTime() {
+    return (this.hitZ - this.spawnZ) / this.noteJumpSpeed;
+  }
+
+  get finished() {
+    return this.nextIndex >= this.objects.length;
+  }
+
+  // Z position of a note with the given hit time at the given song time
+  positionAt(hitTime, songTime) {
+    return this.hitZ - (hitTime - songTime) * this.noteJumpSpeed;
+  }
+
+  // Skip every object that has already passed the hit plane, e.g. after a seek.
+  // Objects still in flight are handed out again on the next update.
+  reset(songTime = 0) {
+    const objects = this.objects;
+    this.nextIndex = 0;
+    while (this.nextIndex < objects.length && objects[this.nextIndex].seconds < songTime) {
+      this.nextIndex++;
+    }
+  }
+
+  update(songTime, spawn) {
+    const objects = this.objects;
+    const travelTime = this.travelTime;
+    while (this.nextIndex < objects.length && objects[this.nextIndex].seconds - travelTime <= songTime) {
+      spawn(objects[this.nextIndex]);
+      this.nextIndex++;
+    }
+  }
+}
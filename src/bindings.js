@@ -0,0 +1,207 @@
+// Remappable input bindings. Keyboard and gamepad share one set of actions, and every action
+// can be triggered by several inputs. Keys are KeyboardEvent.code values, so bindings stay in
+// place on any keyboard layout; gamepad buttons are indices in the standard gamepad mapping.
+
+export const DEFAULT_KEY_BINDINGS = {
+  pause: ["Escape", "KeyP"],
+  toggleStats: ["Backquote"],
+  resetSabers: ["KeyR"],
+  cycleMouseSaber: ["Tab"],
+  leftSwing: ["KeyF"],
+  rightSwing: ["Slash"],
+  menuUp: [],
+  menuDown: [],
+  menuSelect: ["Enter"],
+
+  leftUp: ["KeyW"],
+  leftDown: ["KeyS"],
+  leftLeft: ["KeyA"],
+  leftRight: ["KeyD"],
+  leftRotateLeft: ["KeyQ"],
+  leftRotateRight: ["KeyE"],
+
+  rightUp: ["ArrowUp"],
+  rightDown: ["ArrowDown"],
+  rightLeft: ["ArrowLeft"],
+  rightRight: ["ArrowRight"],
+  rightRotateLeft: ["BracketLeft"],
+  rightRotateRight: ["BracketRight"],
+};
+
+// Sticks steer the sabers, so only buttons are bound here
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  pause: [9], // Start / Menu
+  toggleStats: [],
+  resetSabers: [8], // Back / View
+  cycleMouseSaber: [],
+  leftSwing: [6, 4], // Left trigger and bumper
+  rightSwing: [7, 5], // Right trigger and bumper
+  menuUp: [12], // D-pad
+  menuDown: [13],
+  menuSelect: [0], // A / Cross
+
+  leftUp: [],
+  leftDown: [],
+  leftLeft: [],
+  leftRight: [],
+  leftRotateLeft: [],
+  leftRotateRight: [],
+
+  rightUp: [],
+  rightDown: [],
+  rightLeft: [],
+  rightRight: [],
+  rightRotateLeft: [],
+  rightRotateRight: [],
+};
+
+export const ACTIONS = Object.keys(DEFAULT_KEY_BINDINGS);
+
+// Button names in the standard gamepad mapping, Xbox style
+const GAMEPAD_BUTTON_NAMES = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "Back",
+  "Start",
+  "LS",
+  "RS",
+  "D-pad Up",
+  "D-pad Down",
+  "D-pad Left",
+  "D-pad Right",
+  "Home",
+];
+
+// Names and grouping of the actions in the controls menu
+export const ACTION_LABELS = {
+  pause: "Pause",
+  toggleStats: "Debug Stats",
+  resetSabers: "Reset Sabers",
+  cycleMouseSaber: "Mouse Saber",
+  leftSwing: "Left Swing",
+  rightSwing: "Right Swing",
+  menuUp: "Menu Up",
+  menuDown: "Menu Down",
+  menuSelect: "Menu Select",
+
+  leftUp: "Up",
+  leftDown: "Down",
+  leftLeft: "Left",
+  leftRight: "Right",
+  leftRotateLeft: "Rotate Left",
+  leftRotateRight: "Rotate Right",
+
+  rightUp: "Up",
+  rightDown: "Down",
+  rightLeft: "Left",
+  rightRight: "Right",
+  rightRotateLeft: "Rotate Left",
+  rightRotateRight: "Rotate Right",
+};
+
+export const ACTION_GROUPS = [
+  { label: "General", actions: ["pause", "toggleStats", "resetSabers", "cycleMouseSaber", "leftSwing", "rightSwing", "menuUp", "menuDown", "menuSelect"] },
+  { label: "Left Saber", actions: ["leftUp", "leftDown", "leftLeft", "leftRight", "leftRotateLeft", "leftRotateRight"] },
+  { label: "Right Saber", actions: ["rightUp", "rightDown", "rightLeft", "rightRight", "rightRotateLeft", "rightRotateRight"] },
+];
+
+export class Bindings {
+  // overrides: { action: [inputs] } replacing the defaults for those actions
+  constructor(defaults, overrides = {}) {
+    this.defaults = defaults;
+    this.bindings = {};
+    this.onChange = null; // Called after bindings were changed, e.g. to save them
+    this.reset();
+    Object.entries(overrides).forEach(([action, inputs]) => this.bind(action, inputs));
+  }
+
+  // Bind inputs to an action; an input can only drive one action, so it is taken from any other
+  bind(action, inputs) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown binding action: ${action}`);
+    }
+    Object.keys(this.bindings).forEach((other) => {
+      this.bindings[other] = this.bindings[other].filter((input) => !inputs.includes(input));
+    });
+    this.bindings[action] = [...inputs];
+    if (this.onChange) this.onChange();
+  }
+
+  getAction(input) {
+    return Object.keys(this.bindings).find((action) => this.bindings[action].includes(input)) || null;
+  }
+
+  getInputs(action) {
+    return this.bindings[action] || [];
+  }
+
+  // The inputs of an action as shown in the controls menu
+  describe(action) {
+    const inputs = this.getInputs(action);
+    return inputs.length > 0 ? inputs.map((input) => this.formatInput(input)).join(", ") : "None";
+  }
+
+  formatInput(input) {
+    return String(input);
+  }
+
+  reset() {
+    ACTIONS.forEach((action) => {
+      this.bindings[action] = [...(this.defaults[action] || [])];
+    });
+    if (this.onChange) this.onChange();
+  }
+
+  // Whether a saved input is of the kind this table binds; see the subclasses
+  isValidInput() {
+    return false;
+  }
+
+  // Replace all bindings with saved ones (from toJSON); actions that no longer exist and inputs
+  // of the wrong kind are dropped
+  restore(saved) {
+    ACTIONS.forEach((action) => {
+      const inputs = saved[action];
+      this.bindings[action] = Array.isArray(inputs) ? inputs.filter((input) => this.isValidInput(input)) : [...(this.defaults[action] || [])];
+    });
+  }
+
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.bindings).map(([action, inputs]) => [action, [...inputs]]));
+  }
+}
+
+export class KeyBindings extends Bindings {
+  constructor(overrides = {}) {
+    super(DEFAULT_KEY_BINDINGS, overrides);
+  }
+
+  isValidInput(input) {
+    return typeof input === "string" && input.length > 0;
+  }
+
+  // "KeyW" as "W", "Digit1" as "1" and "ArrowUp" as "Up"
+  formatInput(code) {
+    return code.replace(/^(Key|Digit|Arrow)/, "");
+  }
+}
+
+export class GamepadBindings extends Bindings {
+  constructor(overrides = {}) {
+    super(DEFAULT_GAMEPAD_BINDINGS, overrides);
+  }
+
+  isValidInput(input) {
+    return Number.isInteger(input) && input >= 0;
+  }
+
+  formatInput(index) {
+    return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+  }
+}
@@ -0,0 +1,268 @@
+import * as THREE from "three";
+
+// Continuous collision between a saber blade and a block.
+// Between two frames the blade sweeps a surface. The sweep is split into sub-frame steps that follow
+// the blade's rotation, and each step is tested as two triangles against the block's oriented box
+// with the separating axis theorem. The test runs in the box's own space, so block rotation and
+// block motion during the frame are taken into account.
+
+export const MAX_STEP_DISTANCE = 0.05; // meters the blade tip or the box may travel per sub-frame step
+export const MAX_STEPS = 32;
+const REFINE_ITERATIONS = 8;
+const CONTACT_MARGIN = 0.01; // meters; tolerance when locating the contact point at the refined hit time
+
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _v0 = new THREE.Vector3();
+const _v1 = new THREE.Vector3();
+const _v2 = new THREE.Vector3();
+const _edge0 = new THREE.Vector3();
+const _edge1 = new THREE.Vector3();
+const _edge2 = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _box = new THREE.Box3();
+const _objectBounds = new THREE.Box3();
+
+// Interpolates position, rotation and scale between two world matrices
+class MatrixMotion {
+  constructor() {
+    this.fromPosition = new THREE.Vector3();
+    this.fromQuaternion = new THREE.Quaternion();
+    this.fromScale = new THREE.Vector3();
+    this.toPosition = new THREE.Vector3();
+    this.toQuaternion = new THREE.Quaternion();
+    this.toScale = new THREE.Vector3();
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+  }
+
+  set(previousMatrix, currentMatrix) {
+    previousMatrix.decompose(this.fromPosition, this.fromQuaternion, this.fromScale);
+    currentMatrix.decompose(this.toPosition, this.toQuaternion, this.toScale);
+    return this;
+  }
+
+  get distance() {
+    return this.fromPosition.distanceTo(this.toPosition);
+  }
+
+  get angle() {
+    return this.fromQuaternion.angleTo(this.toQuaternion);
+  }
+
+  at(t, target) {
+    this.position.lerpVectors(this.fromPosition, this.toPosition, t);
+    this.quaternion.slerpQuaternions(this.fromQuaternion, this.toQuaternion, t);
+    this.scale.lerpVectors(this.fromScale, this.toScale, t);
+    return target.compose(this.position, this.quaternion, this.scale);
+  }
+}
+
+function separatedOnAxis(axis, v0, v1, v2, extents) {
+  const p0 = v0.dot(axis);
+  const p1 = v1.dot(axis);
+  const p2 = v2.dot(axis);
+  const r = extents.x * Math.abs(axis.x) + extents.y * Math.abs(axis.y) + extents.z * Math.abs(axis.z);
+  return Math.max(p0, p1, p2) < -r || Math.min(p0, p1, p2) > r;
+}
+
+// Separating axis test between a triangle and a box centered at center with half size extents.
+// Also works for degenerate triangles, e.g. a blade that didn't move.
+export function triangleIntersectsBox(a, b, c, center, extents) {
+  const v0 = _v0.subVectors(a, center);
+  const v1 = _v1.subVectors(b, center);
+  const v2 = _v2.subVectors(c, center);
+  const edges = [_edge0.subVectors(v1, v0), _edge1.subVectors(v2, v1), _edge2.subVectors(v0, v2)];
+
+  // Cross products of the box axes with the triangle edges
+  for (const edge of edges) {
+    if (separatedOnAxis(_axis.set(0, -edge.z, edge.y), v0, v1, v2, extents)) return false;
+    if (separatedOnAxis(_axis.set(edge.z, 0, -edge.x), v0, v1, v2, extents)) return false;
+    if (separatedOnAxis(_axis.set(-edge.y, edge.x, 0), v0, v1, v2, extents)) return false;
+  }
+
+  // Box face normals
+  if (separatedOnAxis(_axis.set(1, 0, 0), v0, v1, v2, extents)) return false;
+  if (separatedOnAxis(_axis.set(0, 1, 0), v0, v1, v2, extents)) return false;
+  if (separatedOnAxis(_axis.set(0, 0, 1), v0, v1, v2, extents)) return false;
+
+  // Triangle normal
+  return !separatedOnAxis(_axis.crossVectors(edges[0], edges[1]), v0, v1, v2, extents);
+}
+
+// The surface swept from segment base0-tip0 to base1-tip1, as two triangles
+function quadIntersectsBox(base0, tip0, base1, tip1, center, extents) {
+  return triangleIntersectsBox(base0, tip0, tip1, center, extents) || triangleIntersectsBox(base0, tip1, base1, center, extents);
+}
+
+// Where along the segment it overlaps the box, as [enter, exit] fractions, or null
+function clipSegmentToBox(start, end, box) {
+  let enter = 0;
+  let exit = 1;
+  for (const axis of ["x", "y", "z"]) {
+    const origin = start[axis];
+    const direction = end[axis] - origin;
+    if (Math.abs(direction) < 1e-12) {
+      if (origin < box.min[axis] || origin > box.max[axis]) return null;
+      continue;
+    }
+    let t0 = (box.min[axis] - origin) / direction;
+    let t1 = (box.max[axis] - origin) / direction;
+    if (t0 > t1) [t0, t1] = [t1, t0];
+    enter = Math.max(enter, t0);
+    exit = Math.min(exit, t1);
+    if (enter > exit) return null;
+  }
+  return [enter, exit];
+}
+
+// The blade of one saber, swept between its pose in the previous and the current frame
+export class BladeSweep {
+  // base and tip of the blade in the saber's local space
+  constructor(base, tip) {
+    this.base = base.clone();
+    this.tip = tip.clone();
+    this.motion = new MatrixMotion();
+    this.boxMotion = new MatrixMotion();
+    this.steps = 1;
+    this.bounds = new THREE.Box3();
+  }
+
+  get length() {
+    return this.base.distanceTo(this.tip);
+  }
+
+  // Start a new sweep from the saber's previous and current world matrices
+  set(previousMatrix, currentMatrix) {
+    const motion = this.motion.set(previousMatrix, currentMatrix);
+    const travel = motion.distance + motion.angle * Math.max(this.base.length(), this.tip.length());
+    this.steps = Math.min(MAX_STEPS, Math.max(1, Math.ceil(travel / MAX_STEP_DISTANCE)));
+
+    // Bounds of every sampled blade position, padded for the curve between samples
+    this.bounds.makeEmpty();
+    for (let i = 0; i <= this.steps; i++) {
+      this.segmentAt(i / this.steps, _v0, _v1);
+      this.bounds.expandByPoint(_v0).expandByPoint(_v1);
+    }
+    this.bounds.expandByScalar(MAX_STEP_DISTANCE);
+    return this;
+  }
+
+  // World-space blade at fraction t of the frame
+  segmentAt(t, base, tip) {
+    this.motion.at(t, _matrix);
+    base.copy(this.base).applyMatrix4(_matrix);
+    tip.copy(this.tip).applyMatrix4(_matrix);
+  }
+
+  directionAt(t, target) {
+    const base = new THREE.Vector3();
+    this.segmentAt(t, base, target);
+    return target.sub(base).normalize();
+  }
+
+  // Movement of the blade tip over the whole frame
+  getSwing(target) {
+    const start = new THREE.Vector3();
+    this.segmentAt(0, new THREE.Vector3(), start);
+    this.segmentAt(1, new THREE.Vector3(), target);
+    return target.sub(start);
+  }
+
+  // Blade at fraction t in the space of a box that moves along with boxMotion
+  localSegmentAt(t, base, tip) {
+    this.segmentAt(t, base, tip);
+    _inverse.copy(this.boxMotion.at(t, _matrix)).invert();
+    base.applyMatrix4(_inverse);
+    tip.applyMatrix4(_inverse);
+  }
+
+  // Test the sweep against a mesh's bounding box, oriented with the mesh.
+  // previousMatrix is the mesh's world matrix in the previous frame, if it moved.
+  // Returns the first contact as { time, point, normal, plane, swing } in world space, or null.
+  // time is the fraction of the frame at which the blade reached the box; point, normal and plane
+  // are mapped onto the mesh's current pose, and the plane is spanned by the blade and its motion.
+  intersectObject(object, previousMatrix = object.matrixWorld) {
+    const geometry = object.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+
+    // Broad phase against everything the box covered during the frame
+    _objectBounds.copy(box).applyMatrix4(previousMatrix);
+    _box.copy(box).applyMatrix4(object.matrixWorld);
+    _objectBounds.union(_box);
+    if (!_objectBounds.intersectsBox(this.bounds)) return null;
+
+    const boxMotion = this.boxMotion.set(previousMatrix, object.matrixWorld);
+    const steps = Math.min(MAX_STEPS, Math.max(this.steps, Math.ceil(boxMotion.distance / MAX_STEP_DISTANCE)));
+    const center = box.getCenter(new THREE.Vector3());
+    const extents = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+
+    const base0 = new THREE.Vector3();
+    const tip0 = new THREE.Vector3();
+    const base1 = new THREE.Vector3();
+    const tip1 = new THREE.Vector3();
+    this.localSegmentAt(0, base0, tip0);
+    for (let i = 0; i < steps; i++) {
+      const start = i / steps;
+      const end = (i + 1) / steps;
+      this.localSegmentAt(end, base1, tip1);
+      if (quadIntersectsBox(base0, tip0, base1, tip1, center, extents)) {
+        return this.refineHit(object, box, center, extents, start, end, base0, tip0);
+      }
+      base0.copy(base1);
+      tip0.copy(tip1);
+    }
+    return null;
+  }
+
+  // Narrow down when the blade first touched the box within one step and build the hit
+  refineHit(object, box, center, extents, start, end, base0, tip0) {
+    const base = new THREE.Vector3();
+    const tip = new THREE.Vector3();
+    let low = start;
+    let high = end;
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+      const middle = (low + high) / 2;
+      this.localSegmentAt(middle, base, tip);
+      if (quadIntersectsBox(base0, tip0, base, tip, center, extents)) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    // The contact is the middle of the part of the blade inside the box, or the blade point closest to its center
+    this.localSegmentAt(high, base, tip);
+    const overlap = clipSegmentToBox(base, tip, box.clone().expandByScalar(CONTACT_MARGIN));
+    let along;
+    if (overlap) {
+      along = (overlap[0] + overlap[1]) / 2;
+    } else {
+      along = new THREE.Line3(base, tip).closestPointToPointParameter(center, true);
+    }
+    const localPoint = new THREE.Vector3().lerpVectors(base, tip, along);
+    const bladeDirection = new THREE.Vector3().subVectors(tip, base);
+
+    // Motion of that blade point relative to the box over the step
+    const stepBase = new THREE.Vector3();
+    const stepTip = new THREE.Vector3();
+    this.localSegmentAt(start, stepBase, stepTip);
+    const from = new THREE.Vector3().lerpVectors(stepBase, stepTip, along);
+    this.localSegmentAt(end, stepBase, stepTip);
+    const motion = new THREE.Vector3().lerpVectors(stepBase, stepTip, along).sub(from);
+
+    const localNormal = new THREE.Vector3().crossVectors(bladeDirection, motion);
+    const point = localPoint.applyMatrix4(object.matrixWorld);
+    const normal = localNormal.lengthSq() > 0 ? localNormal.transformDirection(object.matrixWorld) : localNormal;
+
+    return {
+      time: high,
+      point,
+      normal,
+      plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point),
+      swing: this.getSwing(new THREE.Vector3()),
+    };
+  }
+}
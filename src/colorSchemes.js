@@ -0,0 +1,38 @@
+// Color schemes for sabers, blocks and hit effects.
+// Notes carry a logical color ID ("red" for the left hand, "blue" for the right hand, as in the
+// beatmap format); a scheme only decides how those IDs look, so matching never depends on it.
+// The colorblind presets use the Okabe-Ito palette.
+
+export const COLOR_SCHEMES = {
+  classic: {
+    label: "Classic",
+    notes: { red: 0xff0000, blue: 0x0000ff },
+    hitEffects: { good: 0x00ff00, wrongColor: 0xff0000, wrongDirection: 0xffaa00, bomb: 0xffffff },
+  },
+  deuteranopia: {
+    label: "Deuteranopia",
+    notes: { red: 0xe69f00, blue: 0x0072b2 },
+    hitEffects: { good: 0x56b4e9, wrongColor: 0xd55e00, wrongDirection: 0xf0e442, bomb: 0xffffff },
+  },
+  protanopia: {
+    label: "Protanopia",
+    notes: { red: 0xf0e442, blue: 0x0072b2 },
+    hitEffects: { good: 0x56b4e9, wrongColor: 0xd55e00, wrongDirection: 0xcc79a7, bomb: 0xffffff },
+  },
+  tritanopia: {
+    label: "Tritanopia",
+    notes: { red: 0xd55e00, blue: 0x009e73 },
+    hitEffects: { good: 0xffffff, wrongColor: 0xcc79a7, wrongDirection: 0xe69f00, bomb: 0x999999 },
+  },
+  highContrast: {
+    label: "High Contrast",
+    notes: { red: 0xff00ff, blue: 0x00ffff },
+    hitEffects: { good: 0xffffff, wrongColor: 0xff0000, wrongDirection: 0xffff00, bomb: 0x888888 },
+  },
+};
+
+export const DEFAULT_COLOR_SCHEME = "classic";
+
+export function getColorScheme(id) {
+  return COLOR_SCHEMES[id] || COLOR_SCHEMES[DEFAULT_COLOR_SCHEME];
+}
@@ -0,0 +1,45 @@
+// Cut directions for notes and validation of the swing that cuts them.
+// Directions live in the world XY plane, since notes fly towards the player along +Z.
+
+const DIAGONAL = Math.SQRT1_2;
+
+export const DIRECTION_VECTORS = {
+  up: { x: 0, y: 1 },
+  down: { x: 0, y: -1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  upLeft: { x: -DIAGONAL, y: DIAGONAL },
+  upRight: { x: DIAGONAL, y: DIAGONAL },
+  downLeft: { x: -DIAGONAL, y: -DIAGONAL },
+  downRight: { x: DIAGONAL, y: -DIAGONAL },
+  any: null,
+};
+
+export const CUT_ANGLE_TOLERANCE = 60; // degrees
+
+// Swings shorter than this (in meters per frame) have no reliable direction
+const MIN_SWING_LENGTH = 0.001;
+
+// Rotation around Z that turns an arrow pointing up into the given direction
+export function getDirectionRotation(direction) {
+  const vector = DIRECTION_VECTORS[direction];
+  if (!vector) return 0;
+  return Math.atan2(vector.y, vector.x) - Math.PI / 2;
+}
+
+// Angle in degrees between a swing and the required direction, or null for dot notes
+export function getCutAngle(swing, direction) {
+  const vector = DIRECTION_VECTORS[direction];
+  if (!vector) return null;
+
+  const length = Math.hypot(swing.x, swing.y);
+  if (length < MIN_SWING_LENGTH) return 180;
+
+  const cos = (swing.x * vector.x + swing.y * vector.y) / length;
+  return (Math.acos(Math.min(1, Math.max(-1, cos))) * 180) / Math.PI;
+}
+
+export function isCutDirectionValid(swing, direction, tolerance = CUT_ANGLE_TOLERANCE) {
+  const angle = getCutAngle(swing, direction);
+  return angle === null || angle <= tolerance;
+}
@@ -0,0 +1,103 @@
+import * as THREE from "three";
+import { MOVEMENT_ACTIONS, applyHeldActions } from "./saberMotion.js";
+
+// Desktop saber control: the mouse drives one or both sabers while the pointer is locked,
+// held keys are a fallback. Both move the targets of the sabers' SaberMotion.
+
+export const MOUSE_SABER_MODES = ["right", "left", "both"];
+export const DEFAULT_MOUSE_SENSITIVITY = 0.004; // meters per pixel
+
+// How far the sabers may move from their start pose
+const REACH_X = 1.2;
+const REACH_Y = 1.0;
+
+export class DesktopSaberControls {
+  constructor(domElement, bindings, { sensitivity = DEFAULT_MOUSE_SENSITIVITY } = {}) {
+    this.domElement = domElement;
+    this.bindings = bindings;
+    this.sensitivity = sensitivity;
+    this.mouseSaber = "right";
+    this.sabers = {};
+    this.held = new Set(); // Movement actions whose keys are down
+    this.mouseDelta = new THREE.Vector2();
+    this.onAction = null; // Called with other bound actions, e.g. "pause"
+    this.onCapture = null; // Takes the code of the next key pressed instead of its action, for remapping
+    this.onPointerLockChange = null;
+
+    window.addEventListener("keydown", (event) => this.handleKeyDown(event));
+    window.addEventListener("keyup", (event) => this.held.delete(this.bindings.getAction(event.code)));
+    window.addEventListener("blur", () => this.held.clear());
+    document.addEventListener("mousemove", (event) => {
+      if (!this.locked) return;
+      this.mouseDelta.x += event.movementX;
+      this.mouseDelta.y += event.movementY;
+    });
+    document.addEventListener("pointerlockchange", () => {
+      if (this.onPointerLockChange) this.onPointerLockChange(this.locked);
+    });
+  }
+
+  get locked() {
+    return document.pointerLockElement === this.domElement;
+  }
+
+  lockPointer() {
+    if (this.locked) return;
+    // Browsers refuse the lock right after it was released; the next click will try again
+    const request = this.domElement.requestPointerLock();
+    if (request) request.catch(() => {});
+  }
+
+  unlockPointer() {
+    if (this.locked) document.exitPointerLock();
+  }
+
+  // side is "left" or "right", motion the SaberMotion of that saber
+  addSaber(side, motion) {
+    this.sabers[side] = motion;
+  }
+
+  cycleMouseSaber() {
+    const index = MOUSE_SABER_MODES.indexOf(this.mouseSaber);
+    this.mouseSaber = MOUSE_SABER_MODES[(index + 1) % MOUSE_SABER_MODES.length];
+    return this.mouseSaber;
+  }
+
+  handleKeyDown(event) {
+    if (this.onCapture) {
+      event.preventDefault();
+      if (event.repeat) return;
+      const capture = this.onCapture;
+      this.onCapture = null;
+      capture(event.code);
+      return;
+    }
+
+    const action = this.bindings.getAction(event.code);
+    if (!action) return;
+    event.preventDefault();
+
+    if (MOVEMENT_ACTIONS.has(action)) {
+      this.held.add(action);
+    } else if (!event.repeat && this.onAction) {
+      this.onAction(action);
+    }
+  }
+
+  update(delta) {
+    const mouseSides = this.mouseSaber === "both" ? ["left", "right"] : [this.mouseSaber];
+    Object.entries(this.sabers).forEach(([side, motion]) => {
+      applyHeldActions(motion, side, this.held, delta);
+
+      const target = motion.target;
+      if (mouseSides.includes(side)) {
+        target.x += this.mouseDelta.x * this.sensitivity;
+        target.y -= this.mouseDelta.y * this.sensitivity;
+      }
+      const start = motion.startPosition;
+      target.x = THREE.MathUtils.clamp(target.x, start.x - REACH_X, start.x + REACH_X);
+      target.y = THREE.MathUtils.clamp(target.y, start.y - REACH_Y, start.y + REACH_Y);
+    });
+    this.mouseDelta.set(0, 0);
+  }
+}
@@ -0,0 +1,244 @@
+import { DEFAULT_NOTE_JUMP_SPEED, LANE_COUNT, TempoMap, parseBeatmap } from "./beatmap.js";
+
+// Editing model of the beatmap editor: a map in the native format (times in beats), the cursor,
+// the tool that clicks on the lane grid use, beat snapping and undo/redo. It has no DOM of its
+// own; EditorView draws it and turns clicks and keys into calls here.
+
+export const SNAP_DIVISIONS = [1, 2, 3, 4, 6, 8, 12, 16]; // Grid steps per beat
+export const EDITOR_TOOLS = ["note", "bomb", "wall"];
+
+const HISTORY_LIMIT = 200;
+const TIME_EPSILON = 1e-3; // beats; objects closer than this are on the same grid step
+
+export function createEmptyMap() {
+  return {
+    title: "Untitled",
+    difficulty: "Normal",
+    song: null,
+    bpm: 120,
+    offset: 0,
+    noteJumpSpeed: DEFAULT_NOTE_JUMP_SPEED,
+    bpmChanges: [],
+    notes: [],
+    bombs: [],
+    obstacles: [],
+    events: [],
+  };
+}
+
+// Native format data back from a parsed beatmap, so maps in any loadable format can be edited
+function fromParsed(beatmap) {
+  return {
+    title: beatmap.title,
+    difficulty: beatmap.difficulty,
+    song: beatmap.song,
+    bpm: beatmap.bpm,
+    offset: beatmap.offset,
+    noteJumpSpeed: beatmap.noteJumpSpeed,
+    bpmChanges: beatmap.bpmChanges.map(({ time, bpm }) => ({ time, bpm })),
+    notes: beatmap.notes.map(({ time, lane, layer, color, direction }) => ({ time, lane, layer, color, direction })),
+    bombs: beatmap.bombs.map(({ time, lane, layer }) => ({ time, lane, layer })),
+    obstacles: beatmap.obstacles.map(({ time, duration, lane, width, kind }) => ({ time, duration, lane, width, type: kind })),
+    events: beatmap.events.map(({ time, group, effect, color }) => ({ time, group, effect, color })),
+  };
+}
+
+const sameTime = (a, b) => Math.abs(a - b) < TIME_EPSILON;
+const byTime = (a, b) => a.time - b.time;
+
+export class BeatmapEditor {
+  constructor(map = createEmptyMap()) {
+    this.map = map;
+    this.cursor = 0; // beats
+    this.snap = 4;
+    this.tool = "note";
+    this.color = "red";
+    this.direction = "down";
+    this.wallDuration = 1; // beats
+    this.wallWidth = 1;
+    this.wallType = "full";
+    this.undoStack = []; // JSON snapshots of the map before each edit
+    this.redoStack = [];
+    this.songBuffer = null; // Decoded song, kept while the map is playtested
+    this.songAnalysis = null; // analyzeSong() result for songBuffer, once a map was generated from it
+    this.onChange = null; // Called after every edit, undo and redo
+    this.cachedTempo = null;
+  }
+
+  // Start editing another map in the native format, e.g. one opened from a file; throws like
+  // parseBeatmap if it isn't valid. The song stays loaded and history starts over.
+  load(data) {
+    this.map = fromParsed(parseBeatmap(data));
+    this.cursor = 0;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.changed();
+  }
+
+  get tempo() {
+    if (!this.cachedTempo) this.cachedTempo = new TempoMap(this.map.bpm, this.map.offset, this.map.bpmChanges);
+    return this.cachedTempo;
+  }
+
+  get cursorSeconds() {
+    return this.tempo.toSeconds(this.cursor);
+  }
+
+  // Nearest grid step; the grid restarts at every BPM change
+  snapBeat(beats) {
+    const start = this.tempo.segmentAt("beat", beats).beat;
+    return Math.max(0, start + Math.round((beats - start) * this.snap) / this.snap);
+  }
+
+  setCursor(beats) {
+    this.cursor = this.snapBeat(beats);
+  }
+
+  setCursorSeconds(seconds) {
+    this.setCursor(this.tempo.toBeats(seconds));
+  }
+
+  // Move the cursor by a number of grid steps
+  step(count) {
+    this.setCursor(this.cursor + count / this.snap);
+  }
+
+  // What the lane grid shows at the cursor: the note or bomb in a cell, or a wall over its lane
+  objectAt(lane, layer) {
+    const { notes, bombs, obstacles } = this.map;
+    const atCell = (object) => sameTime(object.time, this.cursor) && object.lane === lane && object.layer === layer;
+    const note = notes.find(atCell);
+    if (note) return { type: "note", object: note };
+    const bomb = bombs.find(atCell);
+    if (bomb) return { type: "bomb", object: bomb };
+    const wall = obstacles.find(
+      (obstacle) =>
+        this.cursor >= obstacle.time - TIME_EPSILON &&
+        this.cursor < obstacle.time + obstacle.duration - TIME_EPSILON &&
+        lane >= obstacle.lane &&
+        lane < obstacle.lane + obstacle.width &&
+        (obstacle.type === "full" || layer === 2),
+    );
+    return wall ? { type: "wall", object: wall } : null;
+  }
+
+  // Click on a grid cell with the current tool: place an object there, replace a different one,
+  // or remove one that is exactly what the tool would place
+  place(lane, layer) {
+    this.edit(() => {
+      const map = this.map;
+      const time = this.cursor;
+      const existing = this.objectAt(lane, layer);
+      if (this.tool === "wall") {
+        if (existing && existing.type === "wall" && sameTime(existing.object.time, time)) {
+          map.obstacles.splice(map.obstacles.indexOf(existing.object), 1);
+          return;
+        }
+        const width = Math.min(this.wallWidth, LANE_COUNT - lane);
+        map.obstacles.push({ time, duration: this.wallDuration, lane, width, type: this.wallType });
+        map.obstacles.sort(byTime);
+        return;
+      }
+
+      const placed = this.tool === "note" ? { time, lane, layer, color: this.color, direction: this.direction } : { time, lane, layer };
+      if (existing && existing.type !== "wall") {
+        const list = existing.type === "note" ? map.notes : map.bombs;
+        list.splice(list.indexOf(existing.object), 1);
+        const same = existing.type === this.tool && Object.keys(placed).every((key) => key === "time" || existing.object[key] === placed[key]);
+        if (same) return;
+      }
+      const list = this.tool === "note" ? map.notes : map.bombs;
+      list.push(placed);
+      list.sort(byTime);
+    });
+  }
+
+  // Swap in a whole other map as one undoable edit, e.g. a generated one; throws like parseBeatmap
+  replaceMap(data) {
+    const map = fromParsed(parseBeatmap(data));
+    this.edit(() => {
+      this.map = map;
+    });
+  }
+
+  // Map properties: title, difficulty, song, bpm, offset, noteJumpSpeed
+  setProperty(key, value) {
+    if (this.map[key] === value) return;
+    this.edit(() => {
+      this.map[key] = value;
+    });
+  }
+
+  // Change the tempo from the cursor on; at beat 0 this is the map's own BPM
+  setBpmAtCursor(bpm) {
+    if (!(bpm > 0)) return;
+    this.edit(() => {
+      const changes = this.map.bpmChanges;
+      if (this.cursor < TIME_EPSILON) {
+        this.map.bpm = bpm;
+        return;
+      }
+      const existing = changes.find((change) => sameTime(change.time, this.cursor));
+      if (existing) {
+        existing.bpm = bpm;
+      } else {
+        changes.push({ time: this.cursor, bpm });
+        changes.sort(byTime);
+      }
+    });
+  }
+
+  removeBpmChangeAtCursor() {
+    const index = this.map.bpmChanges.findIndex((change) => sameTime(change.time, this.cursor));
+    if (index === -1) return;
+    this.edit(() => {
+      this.map.bpmChanges.splice(index, 1);
+    });
+  }
+
+  // Run a change to the map as one undoable step
+  edit(change) {
+    this.undoStack.push(JSON.stringify(this.map));
+    if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+    change();
+    this.changed();
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.redoStack.push(JSON.stringify(this.map));
+    this.map = JSON.parse(this.undoStack.pop());
+    this.changed();
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.undoStack.push(JSON.stringify(this.map));
+    this.map = JSON.parse(this.redoStack.pop());
+    this.changed();
+  }
+
+  changed() {
+    this.cachedTempo = null;
+    if (this.onChange) this.onChange();
+  }
+
+  // The map in the native format, as saved to a file and loaded by the game
+  toJSON() {
+    const { title, difficulty, song, bpm, offset, noteJumpSpeed, bpmChanges, notes, bombs, obstacles, events } = this.map;
+    return {
+      title,
+      difficulty,
+      ...(song ? { song } : {}),
+      bpm,
+      offset,
+      noteJumpSpeed,
+      ...(bpmChanges.length > 0 ? { bpmChanges } : {}),
+      notes,
+      bombs,
+      obstacles,
+      events,
+    };
+  }
+}
@@ -0,0 +1,576 @@
+import { LANE_COUNT, LAYER_COUNT, OBSTACLE_TYPES } from "./beatmap.js";
+import { EDITOR_TOOLS, SNAP_DIVISIONS } from "./editor.js";
+import { downloadFile, pickFile } from "./files.js";
+import { GENERATOR_DIFFICULTIES, analyzeSong, generateBeatmap } from "./mapGenerator.js";
+
+// Page over the game for the beatmap editor: song overview waveform, a zoomable timeline of the
+// lanes around the cursor, the 4x3 lane grid at the cursor and the tool, snapping and tempo controls.
+// Edits go through the BeatmapEditor; the song plays on the game's SongPlayer.
+
+const PEAKS_PER_SECOND = 100;
+const MIN_ZOOM = 50; // Timeline pixels per second
+const MAX_ZOOM = 800;
+const DEFAULT_ZOOM = 200;
+const EMPTY_SONG_LENGTH = 60; // seconds shown in the overview without a song
+
+// Arrow glyphs for cut directions, laid out as the 3x3 direction pad
+const DIRECTION_GLYPHS = { upLeft: "↖", up: "↑", upRight: "↗", left: "←", any: "●", right: "→", downLeft: "↙", down: "↓", downRight: "↘" };
+const TOOL_LABELS = { note: "Note", bomb: "Bomb", wall: "Wall" };
+
+function cssColor(hex) {
+  return `#${hex.toString(16).padStart(6, "0")}`;
+}
+
+function formatTime(seconds) {
+  const sign = seconds < 0 ? "-" : "";
+  const whole = Math.abs(seconds);
+  return `${sign}${Math.floor(whole / 60)}:${(whole % 60).toFixed(2).padStart(5, "0")}`;
+}
+
+// Loudest sample per slice of the song, for drawing its waveform at any zoom
+function computePeaks(buffer) {
+  const count = Math.ceil(buffer.duration * PEAKS_PER_SECOND);
+  const size = Math.max(1, Math.floor(buffer.sampleRate / PEAKS_PER_SECOND));
+  const peaks = new Float32Array(count);
+  for (let channel = 0; channel < Math.min(2, buffer.numberOfChannels); channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < count; i++) {
+      let peak = peaks[i];
+      const end = Math.min(data.length, (i + 1) * size);
+      for (let j = i * size; j < end; j++) {
+        const value = Math.abs(data[j]);
+        if (value > peak) peak = value;
+      }
+      peaks[i] = peak;
+    }
+  }
+  return peaks;
+}
+
+export class EditorView {
+  // noteColors: { red, blue } hex colors of the current color scheme
+  constructor(editor, audio, noteColors, parent = document.body) {
+    this.editor = editor;
+    this.audio = audio;
+    this.colors = { red: cssColor(noteColors.red), blue: cssColor(noteColors.blue) };
+    this.zoom = DEFAULT_ZOOM;
+    this.wasPlaying = false;
+    this.peaks = editor.songBuffer ? computePeaks(editor.songBuffer) : null;
+    this.onPlaytest = null; // Called with the song time to start from
+    this.onExit = null;
+
+    this.element = document.createElement("div");
+    this.element.id = "editor";
+    this.element.tabIndex = -1;
+    this.element.innerHTML = `
+      <div class="editor-row">
+        <button data-action="new">New</button>
+        <button data-action="open">Open Map</button>
+        <button data-action="save">Save Map</button>
+        <button data-action="song">Load Song</button>
+        <label>Title <input data-property="title" type="text" /></label>
+        <label>Difficulty <input data-property="difficulty" type="text" size="8" /></label>
+        <label>Offset <input data-property="offset" type="number" step="0.01" /></label>
+        <label>NJS <input data-property="noteJumpSpeed" type="number" min="1" step="0.5" /></label>
+        <span class="editor-spacer"></span>
+        <button data-action="exit">Exit Editor</button>
+      </div>
+      <canvas class="editor-overview"></canvas>
+      <canvas class="editor-timeline"></canvas>
+      <div class="editor-main">
+        <div class="editor-panel">
+          <div class="editor-group" data-group="tool"></div>
+          <div class="editor-group" data-group="color"></div>
+          <div class="editor-directions" data-group="direction"></div>
+          <label>Wall beats <input data-option="wallDuration" type="number" min="0.125" step="0.25" /></label>
+          <label>Wall width <input data-option="wallWidth" type="number" min="1" max="${LANE_COUNT}" step="1" /></label>
+          <div class="editor-group" data-group="wallType"></div>
+        </div>
+        <div class="editor-grid"></div>
+        <div class="editor-panel">
+          <div class="editor-position"></div>
+          <label>Snap <select class="editor-snap"></select></label>
+          <div class="editor-group">
+            <button data-action="back">◀</button>
+            <button data-action="play">Play</button>
+            <button data-action="forward">▶</button>
+          </div>
+          <label>BPM here <input class="editor-bpm" type="number" min="1" step="0.01" /></label>
+          <div class="editor-group">
+            <button data-action="setBpm">Set BPM</button>
+            <button data-action="removeBpm">Remove Change</button>
+          </div>
+          <div class="editor-group">
+            <button data-action="undo">Undo</button>
+            <button data-action="redo">Redo</button>
+          </div>
+          <div class="editor-group">
+            <select class="editor-generate"></select>
+            <button data-action="generate">Generate Map</button>
+          </div>
+          <div class="editor-group">
+            <button data-action="playtestHere">Playtest Here</button>
+            <button data-action="playtestStart">Playtest Start</button>
+          </div>
+          <div class="editor-status"></div>
+        </div>
+      </div>
+    `;
+    this.overview = this.element.querySelector(".editor-overview");
+    this.timeline = this.element.querySelector(".editor-timeline");
+    this.positionLabel = this.element.querySelector(".editor-position");
+    this.statusLabel = this.element.querySelector(".editor-status");
+    this.bpmInput = this.element.querySelector(".editor-bpm");
+    this.playButton = this.element.querySelector('[data-action="play"]');
+    this.generateSelect = this.element.querySelector(".editor-generate");
+    Object.keys(GENERATOR_DIFFICULTIES).forEach((difficulty) => this.generateSelect.add(new Option(difficulty, difficulty)));
+    this.generateSelect.value = "Normal";
+
+    this.buildChoices("tool", EDITOR_TOOLS, (tool) => TOOL_LABELS[tool]);
+    this.buildChoices("color", ["red", "blue"], (color) => color[0].toUpperCase() + color.slice(1));
+    this.buildChoices("direction", Object.keys(DIRECTION_GLYPHS), (direction) => DIRECTION_GLYPHS[direction]);
+    this.buildChoices("wallType", OBSTACLE_TYPES, (type) => (type === "full" ? "Full" : "Crouch"));
+    this.buildGrid();
+    this.buildSnap();
+    this.bindInputs();
+
+    parent.appendChild(this.element);
+    this.element.focus();
+    editor.onChange = () => this.refresh();
+    this.onResize = () => this.resizeCanvases();
+    window.addEventListener("resize", this.onResize);
+    this.resizeCanvases();
+    this.refresh();
+  }
+
+  // Buttons that pick one of several values of an editor option
+  buildChoices(option, values, label) {
+    const group = this.element.querySelector(`[data-group="${option}"]`);
+    values.forEach((value) => {
+      const button = document.createElement("button");
+      button.textContent = label(value);
+      button.dataset.value = value;
+      button.addEventListener("click", () => {
+        this.editor[option] = value;
+        this.refresh();
+      });
+      group.appendChild(button);
+    });
+  }
+
+  // Lane grid as seen by the player: lanes left to right, the top layer first
+  buildGrid() {
+    const grid = this.element.querySelector(".editor-grid");
+    this.cells = [];
+    for (let layer = LAYER_COUNT - 1; layer >= 0; layer--) {
+      for (let lane = 0; lane < LANE_COUNT; lane++) {
+        const cell = document.createElement("button");
+        cell.className = "editor-cell";
+        cell.addEventListener("click", () => this.placeAt(lane, layer));
+        grid.appendChild(cell);
+        this.cells.push({ cell, lane, layer });
+      }
+    }
+  }
+
+  buildSnap() {
+    const select = this.element.querySelector(".editor-snap");
+    SNAP_DIVISIONS.forEach((division) => {
+      const option = document.createElement("option");
+      option.value = String(division);
+      option.textContent = `1/${division} beat`;
+      select.appendChild(option);
+    });
+    select.value = String(this.editor.snap);
+    select.addEventListener("change", () => {
+      this.editor.snap = Number(select.value);
+      this.editor.setCursor(this.editor.cursor);
+      this.refresh();
+    });
+  }
+
+  bindInputs() {
+    const editor = this.editor;
+    const actions = {
+      new: () => this.loadMap({ notes: [], bpm: editor.map.bpm, song: editor.map.song }),
+      open: () => this.openMap(),
+      save: () => this.saveMap(),
+      song: () => this.loadSong(),
+      exit: () => this.onExit && this.onExit(),
+      back: () => this.stepCursor(-1),
+      forward: () => this.stepCursor(1),
+      play: () => this.togglePlayback(),
+      setBpm: () => editor.setBpmAtCursor(Number(this.bpmInput.value)),
+      removeBpm: () => editor.removeBpmChangeAtCursor(),
+      generate: () => this.generateMap(),
+      undo: () => editor.undo(),
+      redo: () => editor.redo(),
+      playtestHere: () => this.playtest(editor.cursorSeconds),
+      playtestStart: () => this.playtest(0),
+    };
+    this.element.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", () => actions[button.dataset.action]());
+    });
+
+    // Map properties are edits, so they can be undone; numbers must be valid to be taken
+    this.element.querySelectorAll("[data-property]").forEach((input) => {
+      input.addEventListener("change", () => {
+        const key = input.dataset.property;
+        if (input.type !== "number") {
+          editor.setProperty(key, input.value);
+          return;
+        }
+        const value = Number(input.value);
+        if (input.value !== "" && Number.isFinite(value) && (key === "offset" || value > 0)) {
+          editor.setProperty(key, value);
+        } else {
+          this.refresh();
+        }
+      });
+    });
+    this.element.querySelectorAll("[data-option]").forEach((input) => {
+      input.addEventListener("change", () => {
+        const value = Number(input.value);
+        if (value > 0) editor[input.dataset.option] = input.dataset.option === "wallWidth" ? Math.round(value) : value;
+        this.refresh();
+      });
+    });
+
+    this.overview.addEventListener("click", (event) => {
+      const rect = this.overview.getBoundingClientRect();
+      this.seek(((event.clientX - rect.left) / rect.width) * this.getSongLength());
+    });
+    this.timeline.addEventListener("click", (event) => {
+      const rect = this.timeline.getBoundingClientRect();
+      this.seek(this.getViewTime() + (event.clientX - rect.left - rect.width / 2) / this.zoom);
+    });
+    this.timeline.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        if (event.ctrlKey) {
+          this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.zoom * (event.deltaY < 0 ? 1.25 : 0.8)));
+          this.draw();
+        } else {
+          this.stepCursor(event.deltaY > 0 ? 1 : -1);
+        }
+      },
+      { passive: false },
+    );
+
+    // Shortcuts; keys never reach the game's key bindings while the editor is open
+    this.element.addEventListener("keydown", (event) => {
+      event.stopPropagation();
+      if (event.target.matches("input, select")) return;
+      const shortcut = event.ctrlKey || event.metaKey ? { KeyZ: event.shiftKey ? "redo" : "undo", KeyY: "redo" }[event.code] : null;
+      if (shortcut) {
+        event.preventDefault();
+        actions[shortcut]();
+      } else if (event.code === "Space") {
+        event.preventDefault();
+        this.togglePlayback();
+      } else if (event.code === "ArrowLeft" || event.code === "ArrowDown") {
+        event.preventDefault();
+        this.stepCursor(-1);
+      } else if (event.code === "ArrowRight" || event.code === "ArrowUp") {
+        event.preventDefault();
+        this.stepCursor(1);
+      }
+    });
+  }
+
+  get playing() {
+    return this.audio.playing;
+  }
+
+  getSongLength() {
+    if (this.editor.songBuffer) return this.editor.songBuffer.duration;
+    const { notes, bombs, obstacles } = this.editor.map;
+    const last = [...notes, ...bombs, ...obstacles].reduce((end, object) => Math.max(end, object.time + (object.duration || 0)), 0);
+    return Math.max(EMPTY_SONG_LENGTH, this.editor.tempo.toSeconds(last) + 10);
+  }
+
+  // Song time the timeline is centered on: the playing song, or the cursor
+  getViewTime() {
+    return this.playing ? this.audio.currentTime : this.editor.cursorSeconds;
+  }
+
+  seek(seconds) {
+    const time = Math.min(this.getSongLength(), Math.max(0, seconds));
+    this.editor.setCursorSeconds(time);
+    this.audio.seek(this.playing ? time : this.editor.cursorSeconds);
+    this.refresh();
+  }
+
+  stepCursor(count) {
+    if (this.playing) this.stopPlayback();
+    this.editor.step(count);
+    this.audio.seek(this.editor.cursorSeconds);
+    this.refresh();
+  }
+
+  togglePlayback() {
+    if (this.playing) {
+      this.stopPlayback();
+    } else {
+      this.audio.play(this.editor.cursorSeconds);
+    }
+    this.refresh();
+  }
+
+  // Pause and leave the cursor on the grid step nearest to where the song was
+  stopPlayback() {
+    const time = this.audio.currentTime;
+    this.audio.pause();
+    this.editor.setCursorSeconds(time);
+    this.audio.seek(this.editor.cursorSeconds);
+  }
+
+  // Clicks while the song plays place objects on the step being heard
+  placeAt(lane, layer) {
+    if (this.playing) this.editor.setCursorSeconds(this.audio.currentTime);
+    this.editor.place(lane, layer);
+  }
+
+  playtest(seconds) {
+    this.audio.stop();
+    if (this.onPlaytest) this.onPlaytest(seconds);
+  }
+
+  loadMap(data) {
+    try {
+      this.editor.load(data);
+      this.setStatus("");
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+  }
+
+  openMap() {
+    pickFile("application/json,.json", async (file) => {
+      try {
+        this.loadMap(JSON.parse(await file.text()));
+      } catch (error) {
+        this.setStatus(`Not a beatmap: ${error.message}`);
+      }
+      if (this.editor.map.song && !this.editor.songBuffer) this.setStatus(`Load the song file ${this.editor.map.song}`);
+    });
+  }
+
+  saveMap() {
+    const name = `${this.editor.map.title.replace(/[^\w-]+/g, "-") || "beatmap"}.json`;
+    downloadFile(new Blob([JSON.stringify(this.editor.toJSON(), null, 2)], { type: "application/json" }), name);
+  }
+
+  // The map refers to its song by file name, so save the map next to the song file
+  loadSong() {
+    pickFile("audio/*", async (file) => {
+      const url = URL.createObjectURL(file);
+      try {
+        this.editor.songBuffer = await this.audio.load(url);
+        this.editor.songAnalysis = null;
+        this.peaks = computePeaks(this.editor.songBuffer);
+        this.editor.setProperty("song", file.name);
+        this.setStatus("");
+      } catch (error) {
+        this.setStatus(`Could not load the song: ${error.message}`);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+      this.refresh();
+    });
+  }
+
+  // Replace the map with one generated from the song; undo brings the old one back
+  generateMap() {
+    const editor = this.editor;
+    if (!editor.songBuffer) {
+      this.setStatus("Load a song to generate a map from");
+      return;
+    }
+    if (!editor.songAnalysis) editor.songAnalysis = analyzeSong(editor.songBuffer);
+    const { title, song } = editor.map;
+    editor.replaceMap(generateBeatmap(editor.songAnalysis, { difficulty: this.generateSelect.value, title, song }));
+    this.setStatus("");
+  }
+
+  setStatus(text) {
+    this.statusLabel.textContent = text;
+  }
+
+  resizeCanvases() {
+    [this.overview, this.timeline].forEach((canvas) => {
+      canvas.width = canvas.clientWidth * window.devicePixelRatio;
+      canvas.height = canvas.clientHeight * window.devicePixelRatio;
+    });
+    this.draw();
+  }
+
+  // Show the editor's state in the controls after it changed
+  refresh() {
+    const editor = this.editor;
+    const map = editor.map;
+    this.element.querySelectorAll("[data-property]").forEach((input) => {
+      if (document.activeElement !== input) input.value = map[input.dataset.property] ?? "";
+    });
+    this.element.querySelectorAll("[data-option]").forEach((input) => {
+      if (document.activeElement !== input) input.value = editor[input.dataset.option];
+    });
+    this.element.querySelectorAll("[data-group] button").forEach((button) => {
+      button.classList.toggle("selected", editor[button.parentElement.dataset.group] === button.dataset.value);
+    });
+    this.element.querySelector(".editor-directions").classList.toggle("hidden", editor.tool !== "note");
+    if (document.activeElement !== this.bpmInput) this.bpmInput.value = editor.tempo.bpmAt(editor.cursor);
+    this.wasPlaying = this.playing;
+    this.playButton.textContent = this.playing ? "Pause" : "Play";
+    this.element.querySelector('[data-action="undo"]').disabled = editor.undoStack.length === 0;
+    this.element.querySelector('[data-action="redo"]').disabled = editor.redoStack.length === 0;
+
+    this.cells.forEach(({ cell, lane, layer }) => {
+      const occupant = editor.objectAt(lane, layer);
+      cell.className = `editor-cell${occupant ? ` ${occupant.type}` : ""}`;
+      cell.style.backgroundColor = occupant && occupant.type === "note" ? this.colors[occupant.object.color] : "";
+      cell.textContent = occupant && occupant.type === "note" ? DIRECTION_GLYPHS[occupant.object.direction] : occupant && occupant.type === "bomb" ? "✹" : "";
+    });
+    this.draw();
+  }
+
+  // Called every frame while the editor is open, to follow the playing song
+  update() {
+    if (this.playing) {
+      this.draw();
+    } else if (this.wasPlaying) {
+      // The song ended by itself
+      this.editor.setCursorSeconds(this.audio.currentTime);
+      this.refresh();
+    }
+  }
+
+  draw() {
+    this.drawOverview();
+    this.drawTimeline();
+    const time = this.getViewTime();
+    const beat = this.playing ? this.editor.tempo.toBeats(time) : this.editor.cursor;
+    this.positionLabel.textContent = `Beat ${beat.toFixed(3)}  ${formatTime(time)}  ${this.editor.tempo.bpmAt(beat)} BPM`;
+  }
+
+  drawWaveform(context, fromSeconds, toSeconds, width, height) {
+    if (!this.peaks) return;
+    context.fillStyle = "rgba(120, 160, 220, 0.5)";
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor((fromSeconds + ((toSeconds - fromSeconds) * x) / width) * PEAKS_PER_SECOND);
+      const to = Math.max(from + 1, Math.floor((fromSeconds + ((toSeconds - fromSeconds) * (x + 1)) / width) * PEAKS_PER_SECOND));
+      let peak = 0;
+      for (let i = Math.max(0, from); i < Math.min(this.peaks.length, to); i++) peak = Math.max(peak, this.peaks[i]);
+      const barHeight = peak * height;
+      context.fillRect(x, (height - barHeight) / 2, 1, Math.max(1, barHeight));
+    }
+  }
+
+  drawOverview() {
+    const canvas = this.overview;
+    const context = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const length = this.getSongLength();
+    context.clearRect(0, 0, width, height);
+    this.drawWaveform(context, 0, length, width, height);
+
+    // Ticks for every object, so busy and empty stretches stand out
+    const { notes, bombs, obstacles } = this.editor.map;
+    const tempo = this.editor.tempo;
+    context.fillStyle = "rgba(255, 255, 255, 0.6)";
+    [...notes, ...bombs, ...obstacles].forEach((object) => {
+      context.fillRect((tempo.toSeconds(object.time) / length) * width, height - 6, 1, 6);
+    });
+
+    context.fillStyle = "#ffffff";
+    context.fillRect((this.getViewTime() / length) * width - 1, 0, 2, height);
+  }
+
+  // Lanes run across, time along; each lane row shows its three layers bottom to top
+  drawTimeline() {
+    const canvas = this.timeline;
+    const context = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const ratio = window.devicePixelRatio;
+    const zoom = this.zoom * ratio;
+    const center = this.getViewTime();
+    const from = center - width / 2 / zoom;
+    const to = center + width / 2 / zoom;
+    const toX = (seconds) => width / 2 + (seconds - center) * zoom;
+    const editor = this.editor;
+    const tempo = editor.tempo;
+    const rowHeight = height / LANE_COUNT;
+    const layerY = (lane, layer) => lane * rowHeight + ((LAYER_COUNT - 1 - layer + 0.5) * rowHeight) / LAYER_COUNT;
+
+    context.clearRect(0, 0, width, height);
+    this.drawWaveform(context, from, to, width, height);
+
+    // Beat lines, brighter on whole beats, with the snap steps between
+    const firstBeat = Math.max(0, Math.floor(tempo.toBeats(from)));
+    const lastBeat = Math.ceil(tempo.toBeats(to));
+    for (let beat = firstBeat; beat <= lastBeat; beat++) {
+      for (let step = 0; step < editor.snap; step++) {
+        const x = toX(tempo.toSeconds(beat + step / editor.snap));
+        context.fillStyle = step === 0 ? "rgba(255, 255, 255, 0.5)" : "rgba(255, 255, 255, 0.15)";
+        context.fillRect(x, 0, 1, height);
+      }
+    }
+    context.fillStyle = "rgba(255, 255, 255, 0.2)";
+    for (let lane = 1; lane < LANE_COUNT; lane++) context.fillRect(0, lane * rowHeight, width, 1);
+
+    // BPM changes
+    context.font = `${12 * ratio}px sans-serif`;
+    editor.map.bpmChanges.forEach((change) => {
+      const x = toX(tempo.toSeconds(change.time));
+      context.fillStyle = "#ffaa00";
+      context.fillRect(x - 1, 0, 2, height);
+      context.fillText(`${change.bpm} BPM`, x + 4, 14 * ratio);
+    });
+
+    const { notes, bombs, obstacles } = editor.map;
+    const size = (rowHeight / LAYER_COUNT) * 0.8;
+    obstacles.forEach((obstacle) => {
+      const x = toX(tempo.toSeconds(obstacle.time));
+      const end = toX(tempo.toSeconds(obstacle.time + obstacle.duration));
+      if (end < 0 || x > width) return;
+      // Crouch walls only cover the top layer
+      context.fillStyle = "rgba(255, 80, 80, 0.45)";
+      for (let lane = obstacle.lane; lane < obstacle.lane + obstacle.width; lane++) {
+        context.fillRect(x, lane * rowHeight, end - x, obstacle.type === "crouch" ? rowHeight / LAYER_COUNT : rowHeight);
+      }
+    });
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = `${size * 0.8}px sans-serif`;
+    notes.forEach((note) => {
+      const x = toX(tempo.toSeconds(note.time));
+      if (x < -size || x > width + size) return;
+      const y = layerY(note.lane, note.layer);
+      context.fillStyle = this.colors[note.color];
+      context.fillRect(x - size / 2, y - size / 2, size, size);
+      context.fillStyle = "#ffffff";
+      context.fillText(DIRECTION_GLYPHS[note.direction], x, y);
+    });
+    bombs.forEach((bomb) => {
+      const x = toX(tempo.toSeconds(bomb.time));
+      if (x < -size || x > width + size) return;
+      context.fillStyle = "#555555";
+      context.beginPath();
+      context.arc(x, layerY(bomb.lane, bomb.layer), size / 2, 0, Math.PI * 2);
+      context.fill();
+    });
+    context.textAlign = "start";
+    context.textBaseline = "alphabetic";
+
+    // Cursor, or the playing position
+    context.fillStyle = this.playing ? "#00ff88" : "#ffffff";
+    context.fillRect(width / 2 - 1, 0, 2, height);
+  }
+
+  dispose() {
+    this.editor.onChange = null;
+    window.removeEventListener("resize", this.onResize);
+    this.element.remove();
+  }
+}
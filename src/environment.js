@@ -0,0 +1,264 @@
+import * as THREE from "three";
+import { LANE_COUNT, LANE_WIDTH, LIGHT_GROUPS } from "./beatmap.js";
+
+// Scenery around the track: floor, neon strips, ring lights and lasers.
+// Lights are grouped like Beat Saber's light event types and driven by the beatmap's lighting
+// events. Maps without events get lights that pulse on beats detected in the music instead.
+// Light meshes use additive basic materials whose color is scaled by brightness, so no scene
+// lights are added and pulsing costs nothing but a color update.
+
+export const ENVIRONMENTS = {
+  neon: { label: "Neon", skybox: true, floor: 0x0a0a1a, rings: 8, lasers: 4 },
+  tunnel: { label: "Tunnel", skybox: false, background: 0x020208, floor: 0x050510, rings: 20, lasers: 2 },
+  minimal: { label: "Minimal", skybox: true, floor: 0x101018, rings: 0, lasers: 0 },
+};
+
+export const DEFAULT_ENVIRONMENT = "neon";
+
+const TRACK_WIDTH = LANE_COUNT * LANE_WIDTH + 0.6;
+const TRACK_NEAR_Z = 5;
+const TRACK_FAR_Z = -40;
+const RING_SPACING = 4;
+const RING_RADIUS = 4;
+const LASER_LENGTH = 60;
+
+const IDLE_LEVEL = 0.3; // Brightness while no song plays
+const ON_LEVEL = 0.7; // Brightness a flash settles at
+const FADE_RATE = 2; // Brightness lost per second after a flash or fade
+const LASER_SWAY_SPEED = 0.6; // radians per second of the lasers' sway phase
+
+// With reduced effects, lights never jump: flashes play as plain "on" and every change is a slow ramp,
+// which avoids strobing for photosensitive players. Lasers and rings are not built at all.
+const REDUCED_RATE = 0.8;
+const REDUCED_MAX_LEVEL = 0.6;
+const REDUCED_PULSE = 0.15; // Brightness added by a detected beat
+
+// Detects beats as sudden rises of the bass level above its recent average
+const BEAT_THRESHOLD = 1.35;
+const BEAT_MIN_LEVEL = 0.25;
+const BEAT_MIN_INTERVAL = 0.25; // seconds
+const AVERAGE_RATE = 3; // How fast the running average follows the level, per second
+
+// Meshes of one light group, whose color and brightness change together
+class LightGroup {
+  constructor() {
+    this.materials = [];
+    this.color = new THREE.Color();
+    this.brightness = 0;
+    this.level = 0; // Brightness the group settles at
+  }
+
+  createMaterial() {
+    const material = new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false });
+    this.materials.push(material);
+    return material;
+  }
+
+  trigger(effect, hex, reduced) {
+    if (hex !== undefined) this.color.setHex(hex);
+    if (reduced) {
+      this.level = effect === "on" || effect === "flash" ? REDUCED_MAX_LEVEL : 0;
+      return;
+    }
+    switch (effect) {
+      case "off":
+        this.level = 0;
+        this.brightness = 0;
+        break;
+      case "on":
+        this.level = ON_LEVEL;
+        this.brightness = ON_LEVEL;
+        break;
+      case "flash":
+        this.level = ON_LEVEL;
+        this.brightness = 1;
+        break;
+      case "fade":
+        this.level = 0;
+        this.brightness = 1;
+        break;
+    }
+  }
+
+  // Brighten for a moment, then settle back at the current level
+  pulse(hex, reduced) {
+    this.color.setHex(hex);
+    this.brightness = reduced ? Math.min(REDUCED_MAX_LEVEL, this.brightness + REDUCED_PULSE) : 1;
+  }
+
+  update(delta, reduced) {
+    const rate = (reduced ? REDUCED_RATE : FADE_RATE) * delta;
+    if (this.brightness > this.level) {
+      this.brightness = Math.max(this.level, this.brightness - rate);
+    } else if (this.brightness < this.level) {
+      this.brightness = Math.min(this.level, this.brightness + rate);
+    }
+    this.materials.forEach((material) => material.color.copy(this.color).multiplyScalar(this.brightness));
+  }
+}
+
+export class Environment {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+    this.id = null;
+    this.definition = null;
+    this.reduced = false;
+    this.colors = { red: 0xff0000, blue: 0x0000ff }; // Hex color for each light color ID
+    this.lights = {};
+    this.lasers = []; // { mesh, baseAngle, phase }
+    this.elapsed = 0;
+
+    // Lighting of the current song: events to play, or beat detection when there are none
+    this.events = null;
+    this.nextEvent = 0;
+    this.playing = false;
+    this.averageLevel = 0;
+    this.sinceBeat = 0;
+    this.beats = 0;
+  }
+
+  // Rebuild the scenery; skybox is the cube texture used by environments that show one
+  build(id, skybox, reduced) {
+    this.dispose();
+    this.id = ENVIRONMENTS[id] ? id : DEFAULT_ENVIRONMENT;
+    this.definition = ENVIRONMENTS[this.id];
+    this.reduced = reduced;
+    const definition = this.definition;
+    this.scene.background = definition.skybox && skybox ? skybox : new THREE.Color(definition.background || 0x000000);
+    LIGHT_GROUPS.forEach((name) => {
+      this.lights[name] = new LightGroup();
+    });
+
+    // Dark floor under the track with neon strips along both edges
+    const trackLength = TRACK_NEAR_Z - TRACK_FAR_Z;
+    const floor = new THREE.Mesh(
+      new THREE.PlaneGeometry(TRACK_WIDTH, trackLength),
+      new THREE.MeshStandardMaterial({ color: definition.floor, roughness: 0.9 }),
+    );
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.z = (TRACK_NEAR_Z + TRACK_FAR_Z) / 2;
+    this.group.add(floor);
+
+    const stripGeometry = new THREE.BoxGeometry(0.04, 0.02, trackLength);
+    [-1, 1].forEach((side) => {
+      const strip = new THREE.Mesh(stripGeometry, this.lights.centerLights.createMaterial());
+      strip.position.set((side * TRACK_WIDTH) / 2, 0.01, floor.position.z);
+      this.group.add(strip);
+    });
+
+    if (!reduced) {
+      this.buildRings(definition.rings);
+      this.buildLasers(definition.lasers);
+    }
+    this.idle();
+  }
+
+  // Thin rings around the track, fading into the distance
+  buildRings(count) {
+    const geometry = new THREE.TorusGeometry(RING_RADIUS, 0.03, 6, 48);
+    for (let i = 0; i < count; i++) {
+      const ring = new THREE.Mesh(geometry, this.lights.ringLights.createMaterial());
+      ring.position.set(0, 1.5, -8 - i * RING_SPACING);
+      this.group.add(ring);
+    }
+  }
+
+  // Long beams rising from both sides of the track, and across the far end
+  buildLasers(perSide) {
+    const geometry = new THREE.CylinderGeometry(0.03, 0.03, LASER_LENGTH, 6);
+    const addLaser = (groupName, x, z, baseAngle, phase) => {
+      const mesh = new THREE.Mesh(geometry, this.lights[groupName].createMaterial());
+      mesh.position.set(x, 0, z);
+      this.group.add(mesh);
+      this.lasers.push({ mesh, baseAngle, phase });
+    };
+    for (let i = 0; i < perSide; i++) {
+      const z = -15 - i * 6;
+      addLaser("leftLasers", -8, z, 0.5, i);
+      addLaser("rightLasers", 8, z, -0.5, i + Math.PI);
+    }
+    if (perSide > 0) {
+      for (let i = 0; i < 3; i++) {
+        addLaser("backLasers", (i - 1) * 10, TRACK_FAR_Z - 10, Math.PI / 2, i * 2);
+      }
+    }
+  }
+
+  // Light colors follow the color scheme's note colors
+  setColors(colors) {
+    this.colors = { ...colors };
+    if (this.definition && !this.playing) this.idle();
+  }
+
+  // Dim lights in alternating colors while no song plays
+  idle() {
+    this.playing = false;
+    LIGHT_GROUPS.forEach((name, index) => {
+      const light = this.lights[name];
+      light.color.setHex(this.colors[index % 2 === 0 ? "blue" : "red"]);
+      light.level = IDLE_LEVEL;
+    });
+  }
+
+  // Start the lighting of a song from its beginning: its events, or beat detection if it has none
+  start(events) {
+    this.events = events && events.length > 0 ? events : null;
+    this.nextEvent = 0;
+    this.playing = true;
+    this.averageLevel = 0;
+    this.sinceBeat = 0;
+    this.beats = 0;
+    if (this.events) {
+      LIGHT_GROUPS.forEach((name) => this.lights[name].trigger("off", undefined, this.reduced));
+    }
+  }
+
+  // songTime drives the beatmap's events, bassLevel (0-1) the beat detection for maps without events
+  update(delta, songTime, bassLevel = 0) {
+    this.elapsed += delta;
+    if (this.playing) {
+      if (this.events) {
+        this.playEvents(songTime);
+      } else {
+        this.detectBeat(delta, bassLevel);
+      }
+    }
+
+    Object.values(this.lights).forEach((light) => light.update(delta, this.reduced));
+    this.lasers.forEach(({ mesh, baseAngle, phase }) => {
+      mesh.rotation.z = baseAngle + Math.sin(this.elapsed * LASER_SWAY_SPEED + phase) * 0.3;
+    });
+  }
+
+  playEvents(songTime) {
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].seconds <= songTime) {
+      const event = this.events[this.nextEvent++];
+      this.lights[event.group].trigger(event.effect, this.colors[event.color], this.reduced);
+    }
+  }
+
+  // Pulse one light group per beat, walking through the groups and alternating colors
+  detectBeat(delta, level) {
+    this.sinceBeat += delta;
+    const isBeat = level > BEAT_MIN_LEVEL && level > this.averageLevel * BEAT_THRESHOLD && this.sinceBeat >= BEAT_MIN_INTERVAL;
+    this.averageLevel += (level - this.averageLevel) * Math.min(1, AVERAGE_RATE * delta);
+    if (!isBeat) return;
+
+    this.sinceBeat = 0;
+    const group = LIGHT_GROUPS[this.beats % LIGHT_GROUPS.length];
+    this.lights[group].pulse(this.colors[this.beats % 2 === 0 ? "red" : "blue"], this.reduced);
+    this.beats++;
+  }
+
+  dispose() {
+    this.group.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+    this.group.clear();
+    this.lights = {};
+    this.lasers = [];
+  }
+}
@@ -0,0 +1,21 @@
+// Saving and opening files from the page: exported data, replays and edited beatmaps
+
+// Offer a file to the player as a download
+export function downloadFile(blob, name) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Let the player pick a file, then call onFile with it
+export function pickFile(accept, onFile) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = accept;
+  input.addEventListener("change", () => {
+    if (input.files[0]) onFile(input.files[0]);
+  });
+  input.click();
+}
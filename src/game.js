@@ -2,8 +2,89 @@ import * as THREE from "three";
 import { VRButton } from "three/examples/jsm/webxr/VRButton.js";
 import { XRControllerModelFactory } from "three/examples/jsm/webxr/XRControllerModelFactory.js";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import { FontLoader } from "three/examples/jsm/loaders/FontLoader.js";
-import { TextGeometry } from "three/examples/jsm/geometries/TextGeometry.js";
+import { BeatmapScheduler, LANE_WIDTH, laneToX, layerToY, loadBeatmap, loadSongList, parseBeatmap } from "./beatmap.js";
+import { SongPlayer } from "./audio.js";
+import { CUT_ANGLE_TOLERANCE, getDirectionRotation, isCutDirectionValid } from "./cutDirection.js";
+import { ScoreKeeper, SwingTracker, getRank, scoreCut } from "./scoring.js";
+import { createSliceTarget, sliceGeometry } from "./slicer.js";
+import { Health } from "./health.js";
+import { GameState, GameStateMachine } from "./gameState.js";
+import { MenuPanel, MenuPointer } from "./menu.js";
+import { Hud } from "./hud.js";
+import { ObjectPool } from "./pool.js";
+import { BLOCK_SIZE, SharedResources } from "./resources.js";
+import { Animator } from "./animator.js";
+import { BladeSweep } from "./collision.js";
+import { ACTION_GROUPS, ACTION_LABELS, GamepadBindings, KeyBindings } from "./bindings.js";
+import { SaberMotion } from "./saberMotion.js";
+import { DesktopSaberControls } from "./desktopControls.js";
+import { TouchSaberControls } from "./touchControls.js";
+import { GamepadControls } from "./gamepadControls.js";
+import { Haptics } from "./haptics.js";
+import {
+  AUDIO_OFFSETS,
+  BLADE_LENGTHS,
+  HAPTIC_STRENGTHS,
+  NOTE_JUMP_SPEEDS,
+  SPAWN_OFFSETS,
+  TRAIL_LENGTHS,
+  VOLUMES,
+  cycleOption,
+  loadSettings,
+} from "./settings.js";
+import { SaberTrail } from "./trail.js";
+import { COLOR_SCHEMES, getColorScheme } from "./colorSchemes.js";
+import { ProfileStore, getSongId } from "./storage.js";
+import { AssetManager } from "./assets.js";
+import { LoadingScreen } from "./loadingScreen.js";
+import { ENVIRONMENTS, Environment } from "./environment.js";
+import { Replay, ReplayRecorder, packFrame } from "./replay.js";
+import { ReplayControls } from "./replayControls.js";
+import { downloadFile, pickFile } from "./files.js";
+import { BeatmapEditor } from "./editor.js";
+import { EditorView } from "./editorView.js";
+import { GENERATOR_DIFFICULTIES, analyzeSong, generateBeatmap } from "./mapGenerator.js";
+import { INTERPOLATION_DELAY, MULTIPLAYER_SEND_RATE, RelayConnection, RemoteStream, getRelaySettings } from "./multiplayer.js";
+import { MODIFIERS, formatMultiplier, getModifierMultiplier, getSongSpeed, normalizeModifiers, toggleModifier } from "./modifiers.js";
+
+const SPAWN_Z = -10;
+const HIT_Z_DESKTOP = 2; // Where the desktop sabers stand
+const HIT_Z_VR = -0.5; // Arm's length in front of the headset
+
+// Wall extents in meters; crouch walls leave room to duck under them
+const WALL_TOP = 3.0;
+const CROUCH_WALL_BOTTOM = 1.25;
+
+const SONG_LIST_URL = "beatmaps/index.json";
+const MENU_DISTANCE = 1.5; // meters in front of the player
+
+// Phones keep a fixed camera; in portrait the field of view widens so the saber reach stays in view
+const MOBILE_MIN_FOV = 75;
+const TRACK_VIEW_HALF_WIDTH = 1.2;
+const PAUSE_BUTTONS = [4, 5]; // A/B and X/Y on xr-standard gamepads
+
+const BLADE_LENGTH = 1.2; // Length of the blade geometry; the blade length setting scales it
+
+const GRAVITY = 9.8;
+const DEBRIS_LIFETIME = 1.5; // seconds before sliced halves are removed
+
+const PARTICLE_COUNT = 50;
+const HIT_EFFECT_DURATION = 1; // seconds
+
+const MISS_GRAVITY = 21.6; // missed blocks tumble off faster than debris falls
+const SMALL_NOTE_SCALE = 0.5; // Block size with the small notes modifier
+
+const HELP_HIDE_DELAY = 10; // seconds before the controls help fades in VR
+const HELP_FADE_DURATION = 1.5;
+
+const STATS_INTERVAL = 0.5; // seconds between debug stats redraws
+
+const UP = new THREE.Vector3(0, 1, 0);
+const REPLAY_HIT_TYPES = ["good", "wrongColor", "wrongDirection", "miss", "bomb"];
+
+const VERSUS_START_DELAY = 5; // seconds from picking a song to it starting for every player, time to load the map
+const OPPONENT_SPACING = 2.5; // meters to the side of the track each opponent's sabers are shown at
+const SPECTATOR_RESYNC = 0.2; // seconds a spectator's song may drift from the player's before it seeks
 
 export class BeatSaberGame {
   constructor() {
@@ -13,17 +94,86 @@ export class BeatSaberGame {
     this.controllers = [];
     this.sabers = [];
     this.blocks = [];
+    this.debris = []; // Sliced block halves that are still flying
+    this.walls = [];
     this.clock = new THREE.Clock();
     this.isVR = false;
     this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
     this.leftSaber = null;
     this.rightSaber = null;
-    this.score = 0;
+    this.scoreKeeper = new ScoreKeeper();
+    this.lastCut = null; // Score breakdown of the most recent cut
     this.desktopSabers = []; // Track desktop sabers separately
     this.vrSabers = []; // Track VR sabers separately
-    this.scoreText3D = null; // Add reference for 3D score
-    this.helpText3D = null; // Add reference for 3D help text
+    this.hud = null;
+    this.beatmap = null;
+    this.scheduler = null;
+    this.songTime = 0;
+    this.audio = new SongPlayer();
+    this.cutAngleTolerance = CUT_ANGLE_TOLERANCE;
+    this.health = new Health();
+    // Failing clears the track, so it waits until this frame's blocks, walls and cuts are done
+    this.health.onFail = () => {
+      this.failPending = true;
+    };
+    this.failPending = false;
+    this.state = new GameStateMachine(GameState.MENU);
+    this.menu = null; // Currently open MenuPanel
+    this.menuNeedsPlacement = false;
+    this.menuPointer = null;
+    this.beatmapUrl = null;
+    this.songList = null;
+    this.lastResults = null;
+    this.animator = new Animator(); // Tweens and timers ticked from animate()
+    this.assets = new AssetManager();
+    this.environment = new Environment(this.scene); // Built once the skybox has loaded
+    this.profileStore = new ProfileStore(); // Settings, bindings, high scores and stats saved between sessions
+    this.settings = loadSettings(this.profileStore.settings);
+    this.haptics = new Haptics(this.animator, this.settings.hapticStrength);
+    this.keyBindings = new KeyBindings();
+    this.keyBindings.restore(this.profileStore.profile.keyBindings);
+    this.keyBindings.onChange = () => this.saveSettings();
+    this.gamepadBindings = new GamepadBindings();
+    this.gamepadBindings.restore(this.profileStore.profile.gamepadBindings);
+    this.gamepadBindings.onChange = () => this.saveSettings();
+    this.saberMotions = {}; // Smoothed motion of the non-VR sabers, by side
+    this.desktopControls = null; // Mouse and keyboard saber control, desktop only
+    this.touchControls = null; // Finger-dragged sabers on phones
+    this.gamepadControls = null;
+    this.relockPointer = false; // Take the mouse back when play continues
+    this.replayRecorder = null; // Records the run being played
+    this.lastReplay = null; // Recording of the last finished or failed run
+    this.replay = null; // Replay being watched, with its controls and what it changed
+    this.mapEditor = new BeatmapEditor(); // Map being edited, kept while it is playtested
+    this.editorView = null;
+    this.playtest = null; // { from } song time while the editor's map is being played
+    this.songAnalyses = new Map(); // Song url -> analysis its maps are generated from
+    this.modifiers = []; // Modifiers of the current run, from the settings or a replay
+    this.multiplayer = null; // RelayConnection while in a multiplayer room
+    this.roomMenu = null; // { panel, reopen } of a menu that shows room news, rebuilt when it changes
+    this.pendingVersus = null; // Versus run waiting for its start time
+    this.versus = null; // { run, opponents } while playing against others, opponents by peer id
+    this.broadcast = null; // { run, age, sentEvents } while the run is sent to the room
+    this.state.onChange((to, from) => {
+      if (from === GameState.REPLAY) this.endReplay();
+      if (from === GameState.EDITOR) this.closeEditor();
+    });
+
+    // Shared geometry and materials, and pools that recycle the meshes using them
+    this.resources = new SharedResources(this.colorScheme.notes);
+    this.pools = {
+      blocks: new ObjectPool(() => this.createBlockMesh()),
+      bombs: new ObjectPool(() => new THREE.Mesh(this.resources.bombGeometry, this.resources.bombMaterial)),
+      walls: new ObjectPool(() => this.createWallMesh()),
+      debris: new ObjectPool(() => this.createDebrisMesh()),
+      particles: new ObjectPool(() => this.createParticleSystem()),
+    };
 
+    // Debug readout of live objects and renderer load, toggled with ` or ?stats in the URL
+    this.showStats = new URLSearchParams(window.location.search).has("stats");
+    this.statsAge = STATS_INTERVAL;
+
+    this.applySettings();
     this.init();
   }
 
@@ -33,22 +183,16 @@ export class BeatSaberGame {
     this.renderer.xr.enabled = true;
     document.body.appendChild(this.renderer.domElement);
     document.body.appendChild(VRButton.createButton(this.renderer));
+    this.menuPointer = new MenuPointer(this.camera, this.renderer.domElement);
 
     // Setup camera with better position for desktop view
     this.camera.position.set(0, 1.6, 4); // Move camera further back
     this.camera.lookAt(0, 1.6, -2); // Look slightly forward
 
-    // Add skybox
-    const skyboxLoader = new THREE.CubeTextureLoader();
-    const skyboxTexture = skyboxLoader.load([
-      "https://threejs.org/examples/textures/cube/Bridge2/posx.jpg",
-      "https://threejs.org/examples/textures/cube/Bridge2/negx.jpg",
-      "https://threejs.org/examples/textures/cube/Bridge2/posy.jpg",
-      "https://threejs.org/examples/textures/cube/Bridge2/negy.jpg",
-      "https://threejs.org/examples/textures/cube/Bridge2/posz.jpg",
-      "https://threejs.org/examples/textures/cube/Bridge2/negz.jpg",
-    ]);
-    this.scene.background = skyboxTexture;
+    // Skybox and fonts are bundled, so they load without a network connection
+    const loadingScreen = new LoadingScreen();
+    this.assets.onProgress = (loaded, total) => loadingScreen.setProgress(loaded, total);
+    const assetsLoaded = this.assets.load();
 
     // Add lights with increased intensity
     const ambientLight = new THREE.AmbientLight(0x404040, 3); // Increase ambient light
@@ -63,31 +207,40 @@ export class BeatSaberGame {
       this.setupMobileControls();
     }
 
+    this.setupGamepadControls();
+
     // Setup VR controllers
     this.setupVRControllers();
 
-    // Create 3D score display
-    const loader = new FontLoader();
-    loader.load("https://threejs.org/examples/fonts/helvetiker_regular.typeface.json", (font) => {
-      // Create score display
-      const textGeometry = new TextGeometry("Score: 0", {
-        font: font,
-        size: 0.15,
-        depth: 0.02,
-      });
-      const textMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        emissive: 0xffffff,
-        emissiveIntensity: 1,
-        metalness: 0,
-        roughness: 0,
+    // Create HUD with score, health and progress, plus the controls help
+    this.hud = new Hud(this.scene);
+    this.createControlsHelp();
+
+    // Audio can only start after a user gesture
+    const unlockAudio = () => this.audio.unlock();
+    ["pointerdown", "keydown", "touchstart"].forEach((type) => window.addEventListener(type, unlockAudio, { once: true }));
+    this.renderer.xr.addEventListener("sessionstart", unlockAudio);
+
+    // Move open menus in front of the player when switching between VR and desktop
+    this.renderer.xr.addEventListener("sessionend", () => {
+      this.menuNeedsPlacement = true;
+    });
+
+    // Pause when the headset's system menu takes focus
+    this.renderer.xr.addEventListener("sessionstart", () => {
+      this.menuNeedsPlacement = true;
+      this.renderer.xr.getSession().addEventListener("visibilitychange", (event) => {
+        if (event.session.visibilityState !== "visible" && this.state.is(GameState.PLAYING)) {
+          this.pauseGame();
+        }
       });
-      this.scoreText3D = new THREE.Mesh(textGeometry, textMaterial);
-      this.scoreText3D.position.set(-1.5, 2.2, -2);
-      this.scene.add(this.scoreText3D);
+    });
 
-      // Create controls help
-      this.createControlsHelp(font);
+    // Nothing plays until a song is picked
+    assetsLoaded.then(() => {
+      this.buildEnvironment();
+      loadingScreen.hide();
+      this.showMainMenu();
     });
 
     // Start animation loop
@@ -109,21 +262,20 @@ export class BeatSaberGame {
         });
 
         // Remove help text immediately when entering VR
-        if (this.helpText3D) {
-          this.scene.remove(this.helpText3D);
-          this.helpText3D.geometry.dispose();
-          this.helpText3D.material.dispose();
-          this.helpText3D = null;
-        }
+        this.hud.removeHelp();
 
-        const saber = this.createSaber(event.data.handedness === "left" ? "red" : "blue", true);
+        const saber = this.createSaber(event.data.handedness === "left" ? "left" : "right", true);
         controller.add(saber);
         this.vrSabers.push(saber);
+        controller.userData.inputSource = event.data;
       });
 
       controller.addEventListener("disconnected", () => {
+        controller.userData.inputSource = null;
         const saber = controller.children.find((child) => child.isSaber);
         if (saber) {
+          saber.userData.swingTracker.flush();
+          saber.userData.trail.dispose();
           controller.remove(saber);
           const index = this.vrSabers.indexOf(saber);
           if (index > -1) {
@@ -138,6 +290,7 @@ export class BeatSaberGame {
 
       this.scene.add(controller);
       this.controllers.push(controller);
+      this.menuPointer.addController(controller);
 
       const grip = this.renderer.xr.getControllerGrip(i);
       grip.add(controllerModelFactory.createControllerModel(grip));
@@ -146,8 +299,11 @@ export class BeatSaberGame {
 
     // Listen for VR session end
     this.renderer.xr.addEventListener("sessionend", () => {
-      // Clear VR sabers
+      // Clear VR sabers, along with their trails, which live in the scene rather than on the saber
       this.vrSabers.forEach((saber) => {
+        saber.userData.swingTracker.flush();
+        saber.userData.trail.dispose();
+        saber.removeFromParent();
         const index = this.sabers.indexOf(saber);
         if (index > -1) {
           this.sabers.splice(index, 1);
@@ -168,28 +324,62 @@ export class BeatSaberGame {
     this.controls.dampingFactor = 0.05;
     this.controls.target.set(0, 1.6, -2);
 
+    this.createDesktopSabers();
+
+    // Mouse with pointer lock drives the sabers, held keys are the fallback
+    this.desktopControls = new DesktopSaberControls(this.renderer.domElement, this.keyBindings);
+    this.desktopControls.addSaber("left", this.saberMotions.left);
+    this.desktopControls.addSaber("right", this.saberMotions.right);
+    this.desktopControls.onAction = (action) => this.handleAction(action);
+    this.desktopControls.onPointerLockChange = (locked) => {
+      this.controls.enabled = !locked;
+      // Losing the lock (e.g. the browser's Escape) pauses, and resuming takes the mouse back
+      if (!locked && this.state.is(GameState.PLAYING)) {
+        this.pauseGame();
+        this.relockPointer = true;
+      }
+    };
+    this.renderer.domElement.addEventListener("click", () => {
+      if (this.state.is(GameState.PLAYING) && !this.renderer.xr.isPresenting) {
+        this.desktopControls.lockPointer();
+      }
+    });
+  }
+
+  setupMobileControls() {
+    this.createDesktopSabers();
+    this.touchControls = new TouchSaberControls(this.renderer.domElement, this.camera);
+    this.touchControls.addSaber("left", this.saberMotions.left);
+    this.touchControls.addSaber("right", this.saberMotions.right);
+    this.fitCamera();
+  }
+
+  // Sabers held in front of the camera when not in VR, on desktop and on phones
+  createDesktopSabers() {
     // Create desktop sabers only if they don't exist
     if (this.desktopSabers.length === 0) {
-      this.leftSaber = this.createSaber("red", false);
-      this.rightSaber = this.createSaber("blue", false);
+      this.leftSaber = this.createSaber("left", false);
+      this.rightSaber = this.createSaber("right", false);
       this.scene.add(this.leftSaber, this.rightSaber);
       this.desktopSabers.push(this.leftSaber, this.rightSaber);
 
       // Position sabers in front of camera, slightly lower for better visibility
       this.leftSaber.position.set(-0.3, 1.0, 2);
       this.rightSaber.position.set(0.3, 1.0, 2);
+      this.saberMotions = { left: new SaberMotion(this.leftSaber), right: new SaberMotion(this.rightSaber) };
     }
-
-    // Add keyboard controls
-    window.addEventListener("keydown", (event) => this.handleKeyboardInput(event));
   }
 
-  setupMobileControls() {
-    this.renderer.domElement.addEventListener("touchstart", (event) => this.handleTouchInput(event));
-    this.renderer.domElement.addEventListener("touchmove", (event) => this.handleTouchInput(event));
+  // Standard gamepads steer the non-VR sabers on any device
+  setupGamepadControls() {
+    this.gamepadControls = new GamepadControls(this.gamepadBindings);
+    this.gamepadControls.addSaber("left", this.saberMotions.left);
+    this.gamepadControls.addSaber("right", this.saberMotions.right);
+    this.gamepadControls.onAction = (action) => this.handleAction(action);
   }
 
-  createSaber(color, isVR = false) {
+  // side is the hand holding the saber, "left" or "right"; its color follows from the settings
+  createSaber(side, isVR = false) {
     const saberGroup = new THREE.Group();
     saberGroup.isSaber = true;
 
@@ -203,164 +393,1673 @@ export class BeatSaberGame {
     const handle = new THREE.Mesh(handleGeometry, handleMaterial);
 
     // Create blade with larger dimensions for better visibility
-    const bladeGeometry = new THREE.CylinderGeometry(0.015, 0.015, 1.2, 32);
+    const bladeGeometry = new THREE.CylinderGeometry(0.015, 0.015, BLADE_LENGTH, 32);
     const bladeMaterial = new THREE.MeshStandardMaterial({
-      color: color === "red" ? 0xff0000 : 0x0000ff,
-      emissive: color === "red" ? 0xff0000 : 0x0000ff,
       emissiveIntensity: 1.0,
       transparent: true,
       opacity: 0.8,
     });
     const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
 
+    // The blade starts at the saber's origin and points forward in VR, up on desktop
+    const bladeAxis = new THREE.Vector3();
     if (isVR) {
       // VR mode alignment
       handle.rotation.x = -Math.PI / 2;
-      blade.position.z = -0.6;
       blade.rotation.x = -Math.PI / 2;
+      bladeAxis.z = -1;
     } else {
       // Desktop mode alignment - point straight up
-      blade.position.y = 0.6;
+      bladeAxis.y = 1;
       // Remove the tilt rotations to keep sabers straight
       saberGroup.rotation.x = 0;
       saberGroup.rotation.z = 0;
     }
 
     saberGroup.add(handle, blade);
+    saberGroup.userData.side = side;
+    saberGroup.userData.blade = blade;
+    saberGroup.userData.bladeAxis = bladeAxis;
+    saberGroup.userData.bladeRotation = new THREE.Quaternion().setFromUnitVectors(UP, bladeAxis); // For replays
+    saberGroup.userData.trail = new SaberTrail(0xffffff, this.settings.trailLength);
+    this.scene.add(saberGroup.userData.trail.mesh);
+    saberGroup.userData.sweep = new BladeSweep(new THREE.Vector3(), bladeAxis);
+    saberGroup.userData.swingTracker = new SwingTracker();
+    this.applySaberColor(saberGroup);
+    this.applyBladeLength(saberGroup);
     this.sabers.push(saberGroup);
     return saberGroup;
   }
 
-  handleKeyboardInput(event) {
-    const MOVEMENT_SPEED = 0.1;
-    const ROTATION_SPEED = 0.1;
-
-    // Left Saber Controls (WASD + QE)
-    if (this.leftSaber) {
-      switch (event.key.toLowerCase()) {
-        case "w":
-          this.leftSaber.position.y += MOVEMENT_SPEED;
-          break;
-        case "s":
-          this.leftSaber.position.y -= MOVEMENT_SPEED;
-          break;
-        case "a":
-          this.leftSaber.position.x -= MOVEMENT_SPEED;
-          break;
-        case "d":
-          this.leftSaber.position.x += MOVEMENT_SPEED;
-          break;
-        case "q":
-          this.leftSaber.rotation.z += ROTATION_SPEED;
-          break;
-        case "e":
-          this.leftSaber.rotation.z -= ROTATION_SPEED;
-          break;
-      }
+  get colorScheme() {
+    return getColorScheme(this.settings.colorScheme);
+  }
+
+  // Logical note color ("red" or "blue") the saber in the given hand cuts
+  getSaberColorId(side) {
+    const cutsRed = (side === "left") !== this.settings.swapHands;
+    return cutsRed ? "red" : "blue";
+  }
+
+  applySaberColor(saber) {
+    const colorId = this.getSaberColorId(saber.userData.side);
+    const hex = this.colorScheme.notes[colorId];
+    saber.userData.colorId = colorId;
+    saber.userData.blade.material.color.setHex(hex);
+    saber.userData.blade.material.emissive.setHex(hex);
+    saber.userData.trail.setColor(hex);
+  }
+
+  // Stretch the blade along its axis and keep the collision sweep the same length
+  applyBladeLength(saber) {
+    const { blade, bladeAxis, sweep } = saber.userData;
+    const length = this.settings.bladeLength;
+    blade.scale.y = length / BLADE_LENGTH;
+    blade.position.copy(bladeAxis).multiplyScalar(length / 2);
+    sweep.tip.copy(bladeAxis).multiplyScalar(length);
+    saber.userData.trail.clear();
+  }
+
+  setColorScheme(id) {
+    this.settings.colorScheme = id;
+    this.resources.setNoteColors(this.colorScheme.notes);
+    this.environment.setColors(this.colorScheme.notes);
+    this.sabers.forEach((saber) => this.applySaberColor(saber));
+  }
+
+  setSwapHands(swapHands) {
+    this.settings.swapHands = swapHands;
+    this.sabers.forEach((saber) => this.applySaberColor(saber));
+    if (this.hud.helpPanel) this.hud.showHelp(this.getControlsHelp());
+  }
+
+  setBladeLength(length) {
+    this.settings.bladeLength = length;
+    this.sabers.forEach((saber) => this.applyBladeLength(saber));
+  }
+
+  // Discrete actions from the key and gamepad bindings; saber movement is handled by the controls
+  handleAction(action) {
+    switch (action) {
+      case "pause":
+        this.togglePause();
+        break;
+      case "toggleStats":
+        this.toggleStats();
+        break;
+      case "resetSabers":
+        Object.values(this.saberMotions).forEach((motion) => motion.reset());
+        break;
+      case "cycleMouseSaber":
+        this.desktopControls?.cycleMouseSaber();
+        break;
+      case "leftSwing":
+        this.saberMotions.left?.swing();
+        break;
+      case "rightSwing":
+        this.saberMotions.right?.swing();
+        break;
+      case "menuUp":
+        this.menu?.moveHover(-1);
+        break;
+      case "menuDown":
+        this.menu?.moveHover(1);
+        break;
+      case "menuSelect":
+        this.menu?.select(this.menu.hovered);
+        break;
     }
+  }
 
-    // Right Saber Controls (Arrow Keys + []/)
-    if (this.rightSaber) {
-      switch (event.key) {
-        case "ArrowUp":
-          this.rightSaber.position.y += MOVEMENT_SPEED;
-          break;
-        case "ArrowDown":
-          this.rightSaber.position.y -= MOVEMENT_SPEED;
-          break;
-        case "ArrowLeft":
-          this.rightSaber.position.x -= MOVEMENT_SPEED;
-          break;
-        case "ArrowRight":
-          this.rightSaber.position.x += MOVEMENT_SPEED;
-          break;
-        case "[":
-          this.rightSaber.rotation.z += ROTATION_SPEED;
-          break;
-        case "]":
-          this.rightSaber.rotation.z -= ROTATION_SPEED;
-          break;
-      }
+  playBeatmap(url) {
+    return this.loadBeatmap(url)
+      .then(() => this.startLoadedBeatmap())
+      .catch((error) => {
+        console.error("Failed to load beatmap:", error);
+        if (this.state.is(GameState.SONG_SELECT)) this.showSongSelect();
+      });
+  }
+
+  // Load a beatmap and its song, ready to start from the beginning
+  async loadBeatmap(url) {
+    const beatmap = await loadBeatmap(url);
+    this.audio.stop();
+    if (beatmap.song) {
+      await this.audio.load(beatmap.song);
+    } else {
+      this.audio.unload();
+    }
+    this.useBeatmap(beatmap, url);
+  }
+
+  // Load a song without a map and generate one for it at a difficulty. High scores and replays
+  // are kept under the song's url; the same song and difficulty always give the same map.
+  async loadGeneratedBeatmap(songUrl, title, difficulty) {
+    this.audio.stop();
+    const buffer = await this.audio.load(songUrl);
+    if (!this.songAnalyses.has(songUrl)) this.songAnalyses.set(songUrl, analyzeSong(buffer));
+    const beatmap = parseBeatmap(generateBeatmap(this.songAnalyses.get(songUrl), { difficulty, title }));
+    beatmap.song = songUrl;
+    beatmap.generated = true;
+    this.useBeatmap(beatmap, songUrl);
+  }
+
+  // Load the map a replay or multiplayer run was played on, from its header
+  loadRun({ beatmapUrl, title, difficulty, generated }) {
+    return generated ? this.loadGeneratedBeatmap(beatmapUrl, title, difficulty) : this.loadBeatmap(beatmapUrl);
+  }
+
+  useBeatmap(beatmap, url) {
+    this.beatmap = beatmap;
+    this.beatmapUrl = url;
+    this.playtest = null;
+    this.scheduler = new BeatmapScheduler(beatmap, { spawnZ: SPAWN_Z, hitZ: this.getHitZ() });
+  }
+
+  // Start the loaded beatmap from the beginning, or a playtest from its point; also used for retries.
+  // A versus run is played with the settings of the player who picked it.
+  startRun(versus = null) {
+    this.endBroadcast();
+    this.endVersus();
+    this.versus = versus;
+    this.closeMenu();
+    this.clearTrack();
+    this.scoreKeeper.reset();
+    this.lastCut = null;
+    this.health.reset();
+    this.failPending = false;
+    this.updateScore();
+    this.updateHealthBar();
+
+    this.applyRunOptions(versus ? versus.run.settings : this.settings);
+
+    // Playtests start early enough for the first blocks to fly in from the spawn point
+    const from = this.playtest ? this.playtest.from : 0;
+    const start = Math.max(0, from - this.scheduler.travelTime);
+    this.songTime = start;
+    this.scheduler.reset(from);
+    this.environment.start(this.beatmap.events);
+    this.resetSweeps();
+    // The editor's map has no file to replay it from
+    this.replayRecorder = this.playtest ? null : new ReplayRecorder(this.describeRun());
+    this.state.transition(GameState.PLAYING);
+    this.audio.play(start);
+    this.startBroadcast();
+    this.restorePointerLock();
+  }
+
+  // Header of the run being played, for its replay and for the multiplayer room
+  describeRun() {
+    return {
+      beatmapUrl: this.beatmapUrl,
+      title: this.beatmap.title,
+      difficulty: this.beatmap.difficulty,
+      generated: !!this.beatmap.generated,
+      settings: {
+        bladeLength: this.settings.bladeLength,
+        swapHands: this.settings.swapHands,
+        modifiers: this.modifiers,
+        noteJumpSpeed: this.scheduler.noteJumpSpeed,
+        spawnOffset: SPAWN_Z - this.scheduler.spawnZ,
+      },
+    };
+  }
+
+  // Modifiers, note jump speed (0 for the map's own) and spawn offset for the loaded beatmap
+  applyRunOptions({ modifiers = [], noteJumpSpeed = 0, spawnOffset = 0 }) {
+    this.modifiers = normalizeModifiers(modifiers);
+    this.scheduler.noteJumpSpeed = noteJumpSpeed || this.beatmap.noteJumpSpeed;
+    this.scheduler.spawnZ = SPAWN_Z - spawnOffset;
+    this.health.noFail = this.modifiers.includes("noFail");
+    this.health.oneLife = this.modifiers.includes("oneLife");
+    this.audio.setPlaybackRate(getSongSpeed(this.modifiers));
+  }
+
+  // Start blade sweeps and trails afresh so movement while not playing doesn't count as one huge swing
+  resetSweeps() {
+    this.sabers.forEach((saber) => {
+      saber.userData.previousMatrix = null;
+      saber.userData.trail.clear();
+    });
+  }
+
+  // Leave the current run without results
+  stopRun() {
+    this.endBroadcast();
+    this.endVersus();
+    this.pendingVersus = null;
+    // A run left before its end keeps no recording; finished and failed ones were already kept by finishRecording()
+    this.replayRecorder = null;
+    this.audio.stop();
+    this.audio.setPlaybackRate(1);
+    this.clearTrack();
+    this.environment.idle();
+  }
+
+  togglePause() {
+    if (this.state.is(GameState.PLAYING)) {
+      this.pauseGame();
+    } else if (this.state.is(GameState.PAUSED)) {
+      this.resumeGame();
+    } else if (this.state.is(GameState.REPLAY) && this.replay.controls) {
+      this.toggleReplayPause();
+    }
+  }
+
+  pauseGame() {
+    this.state.transition(GameState.PAUSED);
+    this.audio.pause();
+    if (this.broadcast) this.sendRunState(0, true);
+    this.openMenu(
+      new MenuPanel({
+        title: "Paused",
+        lines: [this.beatmap.title],
+        buttons: [
+          { label: "Resume", onSelect: () => this.resumeGame() },
+          { label: "Restart", onSelect: () => this.startRun() },
+          ...this.getLeaveButtons(),
+          { label: "Main Menu", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  resumeGame() {
+    this.closeMenu();
+    this.resetSweeps();
+    this.state.transition(GameState.PLAYING);
+    this.audio.resume();
+    this.restorePointerLock();
+  }
+
+  // Called from the menu click or key press that continues play, so the browser allows the lock
+  restorePointerLock() {
+    if (this.relockPointer && this.desktopControls && !this.renderer.xr.isPresenting) {
+      this.desktopControls.lockPointer();
+    }
+    this.relockPointer = false;
+  }
+
+  // Jump to a song time, dropping blocks and walls that are already in flight
+  seekSong(time) {
+    if (!this.scheduler) return;
+
+    this.audio.seek(time);
+    this.clearTrack();
+    this.scheduler.reset(time);
+  }
+
+  clearTrack() {
+    this.blocks.forEach((block) => this.releaseObject(block));
+    this.walls.forEach((wall) => this.releaseObject(wall));
+    this.blocks = [];
+    this.walls = [];
+  }
+
+  // Take an object from a pool and add it to the scene
+  acquireObject(pool) {
+    const object = pool.acquire();
+    object.userData.pool = pool;
+    this.scene.add(object);
+    return object;
+  }
+
+  // Remove a pooled object from the scene and hand it back for reuse
+  releaseObject(object) {
+    this.scene.remove(object);
+    object.userData.pool.release(object);
+  }
+
+  // Pooled blocks carry both markers and show the one their note needs
+  createBlockMesh() {
+    const resources = this.resources;
+    const block = new THREE.Mesh(resources.blockGeometry, resources.blockMaterials.red);
+    const arrow = new THREE.Mesh(resources.arrowGeometry, resources.markerMaterial);
+    const dot = new THREE.Mesh(resources.dotGeometry, resources.markerMaterial);
+    arrow.position.z = BLOCK_SIZE / 2 + 0.001;
+    dot.position.z = BLOCK_SIZE / 2 + 0.001;
+    block.add(arrow, dot);
+    block.userData.arrow = arrow;
+    block.userData.dot = dot;
+    return block;
+  }
+
+  createWallMesh() {
+    const resources = this.resources;
+    const wall = new THREE.Mesh(resources.wallGeometry, resources.wallMaterial);
+    wall.add(new THREE.LineSegments(resources.wallEdgesGeometry, resources.wallEdgesMaterial));
+    return wall;
+  }
+
+  // Sliced halves are written into preallocated geometry, and each half fades its own material
+  createDebrisMesh() {
+    return new THREE.Mesh(createSliceTarget(), new THREE.MeshStandardMaterial({ transparent: true }));
+  }
+
+  createParticleSystem() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(PARTICLE_COUNT * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(PARTICLE_COUNT * 3), 3));
+
+    const material = new THREE.PointsMaterial({
+      size: 0.05,
+      vertexColors: true,
+      transparent: true,
+      opacity: 1,
+      sizeAttenuation: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+
+    const particles = new THREE.Points(geometry, material);
+    particles.frustumCulled = false;
+    particles.userData.initialPositions = new Float32Array(PARTICLE_COUNT * 3);
+    particles.userData.velocities = new Float32Array(PARTICLE_COUNT * 3);
+    return particles;
+  }
+
+  showMainMenu() {
+    if (!this.state.is(GameState.MENU)) {
+      this.stopRun();
+      this.state.transition(GameState.MENU);
+    }
+    this.openMenu(
+      new MenuPanel({
+        title: "Beat Saber Clone",
+        buttons: [
+          { label: "Play", onSelect: () => this.showSongSelect() },
+          { label: "Settings", onSelect: () => this.showSettings() },
+          { label: "Stats", onSelect: () => this.showProfile() },
+          { label: "Load Replay", onSelect: () => this.loadReplayFile() },
+          { label: "Multiplayer", onSelect: () => this.showMultiplayerMenu() },
+          // The editor is a page over the game, so not in VR
+          ...(this.renderer.xr.isPresenting ? [] : [{ label: "Editor", onSelect: () => this.openEditor() }]),
+        ],
+      }),
+    );
+  }
+
+  // Opened from the main menu; buttons cycle through their options and the panel is rebuilt to show the new value
+  showSettings() {
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const change = (apply) => () => this.changeSetting(apply, () => this.showSettings());
+    this.openMenu(
+      new MenuPanel({
+        title: "Settings",
+        buttons: [
+          {
+            label: `Haptics: ${percent(this.settings.hapticStrength)}`,
+            onSelect: change(() => this.setHapticStrength(cycleOption(HAPTIC_STRENGTHS, this.settings.hapticStrength))),
+          },
+          {
+            label: `Colors: ${this.colorScheme.label}`,
+            onSelect: change(() => this.setColorScheme(cycleOption(Object.keys(COLOR_SCHEMES), this.settings.colorScheme))),
+          },
+          {
+            label: `Blade Length: ${this.settings.bladeLength.toFixed(1)} m`,
+            onSelect: change(() => this.setBladeLength(cycleOption(BLADE_LENGTHS, this.settings.bladeLength))),
+          },
+          {
+            label: `Swap Hands: ${this.settings.swapHands ? "On" : "Off"}`,
+            onSelect: change(() => this.setSwapHands(!this.settings.swapHands)),
+          },
+          { label: "Difficulty", onSelect: () => this.showDifficultySettings() },
+          { label: "Graphics", onSelect: () => this.showGraphicsSettings() },
+          { label: "Audio", onSelect: () => this.showAudioSettings() },
+          { label: "Controls", onSelect: () => this.showControlsSettings() },
+          { label: "Back", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  showGraphicsSettings() {
+    const change = (apply) => () => this.changeSetting(apply, () => this.showGraphicsSettings());
+    this.openMenu(
+      new MenuPanel({
+        title: "Graphics",
+        buttons: [
+          {
+            label: `Environment: ${ENVIRONMENTS[this.environment.id].label}`,
+            onSelect: change(() => {
+              this.settings.environment = cycleOption(Object.keys(ENVIRONMENTS), this.environment.id);
+              this.buildEnvironment();
+            }),
+          },
+          {
+            label: `Reduced Effects: ${this.settings.reducedEffects ? "On" : "Off"}`,
+            onSelect: change(() => {
+              this.settings.reducedEffects = !this.settings.reducedEffects;
+              this.buildEnvironment();
+            }),
+          },
+          {
+            label: `Trails: ${this.settings.trails ? "On" : "Off"}`,
+            onSelect: change(() => {
+              this.settings.trails = !this.settings.trails;
+            }),
+          },
+          {
+            label: `Trail Length: ${this.settings.trailLength} frames`,
+            onSelect: change(() => this.setTrailLength(cycleOption(TRAIL_LENGTHS, this.settings.trailLength))),
+          },
+          { label: "Back", onSelect: () => this.showSettings() },
+        ],
+      }),
+    );
+  }
+
+  showDifficultySettings() {
+    const change = (apply) => () => this.changeSetting(apply, () => this.showDifficultySettings());
+    const offset = this.settings.spawnOffset;
+    this.openMenu(
+      new MenuPanel({
+        title: "Difficulty",
+        lines: ["Faster notes give less time to react", "A larger spawn offset gives more"],
+        buttons: [
+          {
+            label: `Note Jump Speed: ${this.settings.noteJumpSpeed ? `${this.settings.noteJumpSpeed} m/s` : "Map"}`,
+            onSelect: change(() => {
+              this.settings.noteJumpSpeed = cycleOption(NOTE_JUMP_SPEEDS, this.settings.noteJumpSpeed);
+            }),
+          },
+          {
+            label: `Spawn Offset: ${offset > 0 ? "+" : ""}${offset} m`,
+            onSelect: change(() => {
+              this.settings.spawnOffset = cycleOption(SPAWN_OFFSETS, offset);
+            }),
+          },
+          { label: "Back", onSelect: () => this.showSettings() },
+        ],
+      }),
+    );
+  }
+
+  buildEnvironment() {
+    this.environment.setColors(this.colorScheme.notes);
+    this.environment.build(this.settings.environment, this.assets.skybox, this.settings.reducedEffects);
+  }
+
+  showAudioSettings() {
+    const change = (apply) => () => this.changeSetting(apply, () => this.showAudioSettings());
+    const offset = this.settings.audioOffset;
+    this.openMenu(
+      new MenuPanel({
+        title: "Audio",
+        lines: ["Raise the offset if notes arrive before the beat"],
+        buttons: [
+          {
+            label: `Volume: ${Math.round(this.settings.volume * 100)}%`,
+            onSelect: change(() => this.setVolume(cycleOption(VOLUMES, this.settings.volume))),
+          },
+          {
+            label: `Audio Offset: ${offset > 0 ? "+" : ""}${offset} ms`,
+            onSelect: change(() => this.setAudioOffset(cycleOption(AUDIO_OFFSETS, offset))),
+          },
+          { label: "Back", onSelect: () => this.showSettings() },
+        ],
+      }),
+    );
+  }
+
+  // Key or gamepad button bindings, by group of actions; changed bindings are saved through the bindings' onChange
+  showControlsSettings(device = this.desktopControls ? "keyboard" : "gamepad") {
+    const { label, bindings } = this.getBindingDevice(device);
+    const devices = this.desktopControls ? ["keyboard", "gamepad"] : ["gamepad"];
+    this.openMenu(
+      new MenuPanel({
+        title: "Controls",
+        buttons: [
+          ...(devices.length > 1 ? [{ label: `Device: ${label}`, onSelect: () => this.showControlsSettings(cycleOption(devices, device)) }] : []),
+          ...ACTION_GROUPS.map((group) => ({ label: group.label, onSelect: () => this.showBindings(device, group) })),
+          {
+            label: "Reset to Defaults",
+            onSelect: () => {
+              bindings.reset();
+              this.showControlsSettings(device);
+            },
+          },
+          { label: "Back", onSelect: () => this.showSettings() },
+        ],
+      }),
+    );
+  }
+
+  // device is "keyboard" or "gamepad"
+  getBindingDevice(device) {
+    return device === "keyboard"
+      ? { label: "Keyboard", input: "key", bindings: this.keyBindings, controls: this.desktopControls }
+      : { label: "Gamepad", input: "button", bindings: this.gamepadBindings, controls: this.gamepadControls };
+  }
+
+  showBindings(device, group) {
+    const { bindings, input } = this.getBindingDevice(device);
+    this.openMenu(
+      new MenuPanel({
+        title: group.label,
+        lines: [`Pick an action to bind a new ${input} to it`],
+        buttons: [
+          ...group.actions.map((action) => ({
+            label: `${ACTION_LABELS[action]}: ${bindings.describe(action)}`,
+            onSelect: () => this.captureBinding(device, group, action),
+          })),
+          { label: "Back", onSelect: () => this.showControlsSettings(device) },
+        ],
+      }),
+    );
+  }
+
+  // Bind the next key or button pressed to the action; closing the menu in any way cancels
+  captureBinding(device, group, action) {
+    const { bindings, controls, input } = this.getBindingDevice(device);
+    const reopen = () => this.showBindings(device, group);
+    this.openMenu(
+      new MenuPanel({
+        title: `${group.label}: ${ACTION_LABELS[action]}`,
+        lines: [`Press a ${input}`, `A ${input} bound to another action moves here`],
+        buttons: [{ label: "Cancel", onSelect: reopen }],
+      }),
+    );
+    controls.onCapture = (pressed) => {
+      bindings.bind(action, [pressed]);
+      reopen();
+    };
+  }
+
+  // Apply a settings change, save it and show the changed value by rebuilding the menu
+  changeSetting(apply, reopen) {
+    apply();
+    this.saveSettings();
+    reopen();
+  }
+
+  saveSettings() {
+    this.profileStore.saveSettings(this.settings, this.keyBindings, this.gamepadBindings);
+  }
+
+  // Bring everything that depends on the settings in line with them, after loading or importing
+  applySettings() {
+    this.haptics.strength = this.settings.hapticStrength;
+    this.setVolume(this.settings.volume);
+    this.setAudioOffset(this.settings.audioOffset);
+    this.resources.setNoteColors(this.colorScheme.notes);
+    if (this.environment.definition) this.buildEnvironment();
+    this.sabers.forEach((saber) => {
+      saber.userData.trail.setLength(this.settings.trailLength);
+      this.applySaberColor(saber);
+      this.applyBladeLength(saber);
+    });
+  }
+
+  setVolume(volume) {
+    this.settings.volume = volume;
+    this.audio.setVolume(volume);
+  }
+
+  setAudioOffset(milliseconds) {
+    this.settings.audioOffset = milliseconds;
+    this.audio.latencyOffset = milliseconds / 1000;
+  }
+
+  setTrailLength(length) {
+    this.settings.trailLength = length;
+    this.sabers.forEach((saber) => saber.userData.trail.setLength(length));
+  }
+
+  setHapticStrength(strength) {
+    this.settings.hapticStrength = strength;
+    this.haptics.strength = strength;
+    // Let the player feel the new strength
+    this.controllers.forEach((controller) => this.haptics.play(controller.userData.inputSource, "goodCut"));
+  }
+
+  showSongSelect() {
+    if (!this.state.is(GameState.SONG_SELECT)) {
+      this.stopRun();
+      this.state.transition(GameState.SONG_SELECT);
     }
+    this.closeMenu();
+
+    const songList = this.songList ? Promise.resolve(this.songList) : loadSongList(SONG_LIST_URL);
+    songList
+      .then((songs) => {
+        this.songList = songs;
+        if (!this.state.is(GameState.SONG_SELECT)) return;
+        this.openMenu(
+          new MenuPanel({
+            title: "Select Song",
+            buttons: [
+              ...songs.map((song) => ({
+                label: song.url ? song.title : `${song.title} (Generated)`,
+                onSelect: () => {
+                  if (!song.url) {
+                    this.showGenerateMenu(song);
+                    return;
+                  }
+                  // Close the list right away so the song can't be picked twice while loading
+                  this.closeMenu();
+                  this.playBeatmap(song.url);
+                },
+              })),
+              { label: `Modifiers (${getModifierMultiplier(normalizeModifiers(this.settings.modifiers)).toFixed(2)}x)`, onSelect: () => this.showModifiers() },
+              { label: "Back", onSelect: () => this.showMainMenu() },
+            ],
+          }),
+        );
+      })
+      .catch((error) => console.error("Failed to load song list:", error));
+  }
+
+  // Toggles for the gameplay modifiers, kept in the settings for the next runs
+  showModifiers() {
+    const modifiers = normalizeModifiers(this.settings.modifiers);
+    const toggle = (id) => () =>
+      this.changeSetting(
+        () => (this.settings.modifiers = toggleModifier(modifiers, id)),
+        () => this.showModifiers(),
+      );
+    this.openMenu(
+      new MenuPanel({
+        title: "Modifiers",
+        lines: [`Score multiplier: ${getModifierMultiplier(modifiers).toFixed(2)}x`],
+        buttons: [
+          ...Object.entries(MODIFIERS).map(([id, { label, multiplier }]) => ({
+            label: `${label} (${formatMultiplier(multiplier)}): ${modifiers.includes(id) ? "On" : "Off"}`,
+            onSelect: toggle(id),
+          })),
+          { label: "Back", onSelect: () => this.showSongSelect() },
+        ],
+      }),
+    );
+  }
+
+  // Difficulty for a song whose map is generated from its audio
+  showGenerateMenu(song) {
+    this.openMenu(
+      new MenuPanel({
+        title: song.title,
+        lines: ["Map generated from the music"],
+        buttons: [
+          ...Object.keys(GENERATOR_DIFFICULTIES).map((difficulty) => ({ label: difficulty, onSelect: () => this.playGenerated(song, difficulty) })),
+          { label: "Back", onSelect: () => this.showSongSelect() },
+        ],
+      }),
+    );
+  }
 
-    // Reset positions with R key
-    if (event.key.toLowerCase() === "r") {
-      if (this.leftSaber) {
-        this.leftSaber.position.set(-0.5, 0, -1);
-        this.leftSaber.rotation.set(0, 0, 0);
+  playGenerated(song, difficulty) {
+    // Analysing the song takes a moment, and the panel keeps it from being picked twice
+    this.openMenu(new MenuPanel({ title: "Generating Map", lines: [`${song.title} (${difficulty})`] }));
+    return this.loadGeneratedBeatmap(song.song, song.title, difficulty)
+      .then(() => this.startLoadedBeatmap())
+      .catch((error) => {
+        console.error("Failed to generate beatmap:", error);
+        if (this.state.is(GameState.SONG_SELECT)) this.showSongSelect();
+      });
+  }
+
+  failLevel() {
+    this.failPending = false;
+    if (!this.state.is(GameState.PLAYING)) return;
+
+    this.state.transition(GameState.FAILED);
+    this.audio.pause();
+    this.clearTrack();
+    this.environment.idle();
+    this.recordRun(false);
+    this.finishRecording();
+    const { score, accuracy, rank } = this.getRunResults();
+    this.endBroadcast({ cleared: false, score, accuracy, rank });
+    this.showFailed();
+  }
+
+  showFailed() {
+    this.openMenu(
+      new MenuPanel({
+        title: "Level Failed",
+        lines: [this.beatmap.title, `Score: ${this.getRunResults().score}`],
+        buttons: [
+          { label: "Retry", onSelect: () => this.startRun() },
+          ...this.getLeaveButtons(() => this.showFailed()),
+          { label: "Main Menu", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  getSongLength() {
+    return Number.isFinite(this.audio.duration) ? this.audio.duration : this.scheduler.endTime;
+  }
+
+  // The song is over and every object has been cut, missed or passed
+  isSongFinished() {
+    if (!this.scheduler.finished || this.blocks.length > 0 || this.walls.length > 0) return false;
+    return !Number.isFinite(this.audio.duration) || this.songTime >= this.audio.duration;
+  }
+
+  finishLevel() {
+    // Settle cuts that are still waiting for their follow-through
+    this.sabers.forEach((saber) => saber.userData.swingTracker.flush());
+
+    this.lastResults = this.getRunResults();
+    this.lastResults.highScore = this.recordRun(true);
+    this.lastResults.opponents = this.versus ? [...this.versus.opponents.values()] : [];
+    this.finishRecording();
+    const { score, accuracy, rank } = this.lastResults;
+    this.endBroadcast({ cleared: true, score, accuracy, rank });
+
+    this.state.transition(GameState.RESULTS);
+    this.audio.stop();
+    this.environment.idle();
+    this.showResults();
+  }
+
+  showResults() {
+    const { score, accuracy, maxCombo, misses, badCuts, modifiers, multiplier, highScore, opponents } = this.lastResults;
+    const isNewBest = !highScore || score > highScore.score;
+    // Opponents' results fill in as they finish
+    this.openRoomMenu(
+      () => this.showResults(),
+      new MenuPanel({
+        title: `Rank ${this.lastResults.rank}${this.lastResults.fullCombo ? "  Full Combo!" : ""}`,
+        lines: [
+          this.beatmap.title,
+          `Score: ${score}`,
+          `Accuracy: ${(accuracy * 100).toFixed(1)}%`,
+          `Max Combo: ${maxCombo}`,
+          `Misses: ${misses}  Bad Cuts: ${badCuts}`,
+          ...(modifiers.length > 0 ? [`${modifiers.map((id) => MODIFIERS[id].label).join(", ")} (${multiplier.toFixed(2)}x)`] : []),
+          ...(this.playtest ? [] : [isNewBest ? "New High Score!" : `High Score: ${highScore.score} (${highScore.rank})`]),
+          ...opponents.map((stream) => `${stream.peer.name}: ${this.describeOpponentResult(stream)}`),
+        ],
+        buttons: [
+          { label: "Retry", onSelect: () => this.startRun() },
+          ...this.getLeaveButtons(() => this.showResults()),
+          { label: "Main Menu", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  // The score is the one with the modifiers' multiplier, as the high scores keep it
+  getRunResults() {
+    const { score, accuracy, maxCombo, notesHit, misses, badCuts, bombHits } = this.scoreKeeper;
+    const multiplier = getModifierMultiplier(this.modifiers);
+    return {
+      title: this.beatmap.title,
+      score: Math.round(score * multiplier),
+      modifiers: this.modifiers,
+      multiplier,
+      accuracy,
+      maxCombo,
+      notesHit,
+      misses,
+      badCuts,
+      bombHits,
+      rank: getRank(accuracy),
+      fullCombo: misses === 0 && badCuts === 0 && bombHits === 0,
+    };
+  }
+
+  // Save the run to the play stats and, when cleared, the high scores. Returns the previous high score.
+  recordRun(cleared) {
+    // Playtests of the editor's map count for nothing
+    if (this.playtest) return null;
+    const run = { ...this.getRunResults(), cleared, duration: this.songTime };
+    return this.profileStore.recordRun(getSongId(this.beatmapUrl), this.beatmap.difficulty, run);
+  }
+
+  // Lifetime stats, with export and import of all saved data as a JSON file
+  showProfile() {
+    const stats = this.profileStore.stats;
+    const minutes = Math.round(stats.playTime / 60);
+    this.openMenu(
+      new MenuPanel({
+        title: "Stats",
+        lines: [
+          `Plays: ${stats.plays}  Cleared: ${stats.cleared}  Failed: ${stats.failed}`,
+          `Full Combos: ${stats.fullCombos}  Highest Combo: ${stats.highestCombo}`,
+          `Notes Hit: ${stats.notesHit}  Misses: ${stats.misses}`,
+          `Bad Cuts: ${stats.badCuts}  Bombs: ${stats.bombHits}`,
+          `Play Time: ${minutes} min`,
+        ],
+        buttons: [
+          { label: "Export Data", onSelect: () => this.exportProfile() },
+          { label: "Import Data", onSelect: () => this.importProfile() },
+          { label: "Back", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  exportProfile() {
+    downloadFile(new Blob([this.profileStore.exportJSON()], { type: "application/json" }), "beat-saber-clone-save.json");
+  }
+
+  // Let the player pick an exported file; it replaces all saved data and the settings take effect at once
+  importProfile() {
+    pickFile("application/json,.json", async (file) => {
+      try {
+        const profile = this.profileStore.importJSON(await file.text());
+        this.settings = loadSettings(profile.settings);
+        this.keyBindings.restore(profile.keyBindings);
+        this.gamepadBindings.restore(profile.gamepadBindings);
+        this.applySettings();
+      } catch (error) {
+        console.error("Failed to import saved data:", error);
       }
-      if (this.rightSaber) {
-        this.rightSaber.position.set(0.5, 0, -1);
-        this.rightSaber.rotation.set(0, 0, 0);
+      if (this.state.is(GameState.MENU)) this.showProfile();
+    });
+  }
+
+  // Where a run's menus lead: playtests go back to the editor, other runs to song select, after
+  // the finished or failed menu (reopened by back) has offered the run's replay
+  getLeaveButtons(back = null) {
+    if (this.playtest) return [{ label: "Back to Editor", onSelect: () => this.openEditor() }];
+    const buttons = [{ label: "Song Select", onSelect: () => this.showSongSelect() }];
+    if (back) buttons.unshift({ label: "Replay", onSelect: () => this.showReplayMenu(back) });
+    return buttons;
+  }
+
+  // The beatmap editor, opened from the main menu or from a playtest of its map
+  openEditor() {
+    this.closeMenu();
+    this.stopRun();
+    this.state.transition(GameState.EDITOR);
+    this.audio.setBuffer(this.mapEditor.songBuffer);
+    this.editorView = new EditorView(this.mapEditor, this.audio, this.colorScheme.notes);
+    this.editorView.onPlaytest = (seconds) => this.startPlaytest(seconds);
+    this.editorView.onExit = () => this.showMainMenu();
+  }
+
+  // Called when leaving the editor state
+  closeEditor() {
+    this.editorView.dispose();
+    this.editorView = null;
+    this.audio.stop();
+  }
+
+  // Play the editor's map from a song time, with the song loaded in the editor
+  startPlaytest(seconds) {
+    let beatmap;
+    try {
+      beatmap = parseBeatmap(this.mapEditor.toJSON());
+    } catch (error) {
+      this.editorView.setStatus(error.message);
+      return;
+    }
+    this.beatmap = beatmap;
+    this.beatmapUrl = null;
+    this.playtest = { from: seconds };
+    this.scheduler = new BeatmapScheduler(beatmap, { spawnZ: SPAWN_Z, hitZ: this.getHitZ() });
+    this.startRun();
+  }
+
+  // Keep the recording of the run that just ended, with the cuts that were still being scored
+  finishRecording() {
+    if (!this.replayRecorder) return;
+    this.lastReplay = this.replayRecorder.finish();
+    this.replayRecorder = null;
+  }
+
+  // Hits and misses of the run being recorded, for checking them while watching the replay
+  recordReplayEvent(type, note) {
+    if (!this.replayRecorder || !this.state.is(GameState.PLAYING)) return;
+    this.replayRecorder.addEvent({ time: this.songTime, type, note: { seconds: note.seconds, lane: note.lane, layer: note.layer } });
+  }
+
+  // Record this frame's head and saber poses with the HUD values
+  recordReplayFrame() {
+    this.replayRecorder.addFrame(this.songTime, this.getHudValues(), this.getTrackedObjects());
+  }
+
+  getHudValues() {
+    const { score, combo, multiplier } = this.scoreKeeper;
+    return { score, combo, multiplier, health: this.health.value };
+  }
+
+  // Head and sabers as replays and the multiplayer room see them
+  getTrackedObjects() {
+    const isPresenting = this.renderer.xr.isPresenting;
+    const objects = { head: isPresenting ? this.renderer.xr.getCamera() : this.camera, left: null, right: null };
+    (isPresenting ? this.vrSabers : this.desktopSabers).forEach((saber) => {
+      objects[saber.userData.side] = saber;
+    });
+    return objects;
+  }
+
+  // Watch or save the last run's replay; back reopens the menu this was opened from
+  showReplayMenu(back) {
+    const replay = this.lastReplay;
+    const buttons = [];
+    // Replays play on the desktop sabers with a free camera, so not in VR
+    if (!this.renderer.xr.isPresenting) buttons.push({ label: "Watch", onSelect: () => this.watchReplay(replay) });
+    buttons.push({ label: "Save to File", onSelect: () => this.saveReplay(replay) }, { label: "Back", onSelect: back });
+    this.openMenu(new MenuPanel({ title: "Replay", lines: [replay.header.title, `Length: ${Math.round(replay.duration)} s`], buttons }));
+  }
+
+  saveReplay(replay) {
+    const date = replay.header.recordedAt.slice(0, 10);
+    const name = replay.header.title.replace(/[^\w-]+/g, "-");
+    downloadFile(new Blob([replay.encode()], { type: "application/octet-stream" }), `${name}-${date}.bsrp`);
+  }
+
+  loadReplayFile() {
+    pickFile(".bsrp", async (file) => {
+      try {
+        await this.watchReplay(Replay.decode(await file.arrayBuffer()));
+      } catch (error) {
+        console.error("Failed to load replay:", error);
       }
+    });
+  }
+
+  // Play the replay's map again with the sabers driven by the recording. A live replay is another
+  // player's run as it happens (a RemoteStream), which has no timeline and follows their song time.
+  async watchReplay(replay, live = false) {
+    if (this.renderer.xr.isPresenting) return;
+    this.closeMenu();
+    this.stopRun();
+    try {
+      await this.loadRun(replay.header);
+    } catch (error) {
+      console.error("Failed to load the replay's beatmap:", error);
+      this.showMainMenu();
+      return;
     }
+
+    // Collisions only match the recording with the blade length and hands it was made with
+    const recorded = replay.header.settings || {};
+    this.replay = {
+      recording: replay,
+      live,
+      controls: live ? null : new ReplayControls(replay.duration),
+      head: new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.25, 0.25), new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true })),
+      settings: { bladeLength: this.settings.bladeLength, swapHands: this.settings.swapHands },
+      camera: { position: this.camera.position.clone(), target: this.controls ? this.controls.target.clone() : null },
+    };
+    if (recorded.bladeLength) this.setBladeLength(recorded.bladeLength);
+    if (recorded.swapHands !== undefined) this.setSwapHands(recorded.swapHands);
+    this.applyRunOptions(recorded);
+    this.scene.add(this.replay.head);
+
+    const controls = this.replay.controls;
+    if (controls) {
+      controls.onSeek = (time) => this.seekReplay(time);
+      controls.onTogglePause = () => this.toggleReplayPause();
+      controls.onExit = () => this.showMainMenu();
+    }
+
+    this.scoreKeeper.reset();
+    this.health.reset();
+    this.lastCut = null;
+    this.state.transition(GameState.REPLAY);
+    this.audio.play(0);
+    this.seekReplay(0);
   }
 
-  handleTouchInput(event) {
-    event.preventDefault();
-    // Add touch-based control logic
+  seekReplay(time) {
+    this.seekSong(time);
+    this.songTime = time;
+    this.resetSweeps();
+    this.environment.start(this.beatmap.events);
+    this.environment.update(0, time);
   }
 
-  spawnBlock() {
-    const geometry = new THREE.BoxGeometry(0.4, 0.4, 0.4);
-    const material = new THREE.MeshStandardMaterial({
-      color: Math.random() > 0.5 ? 0xff0000 : 0x0000ff,
+  toggleReplayPause() {
+    if (this.audio.playing) {
+      this.audio.pause();
+    } else {
+      // Played to the end: start over
+      if (this.audio.currentTime >= this.replay.recording.duration) this.seekReplay(0);
+      this.audio.resume();
+    }
+    this.replay.controls.setPaused(!this.audio.playing);
+  }
+
+  // Called when leaving the replay state: put back what watching changed
+  endReplay() {
+    const { controls, head, settings, camera } = this.replay;
+    if (controls) controls.dispose();
+    head.removeFromParent();
+    head.geometry.dispose();
+    head.material.dispose();
+    this.setBladeLength(settings.bladeLength);
+    this.setSwapHands(settings.swapHands);
+    this.desktopSabers.forEach((saber) => {
+      saber.visible = true;
     });
-    const block = new THREE.Mesh(geometry, material);
+    this.camera.position.copy(camera.position);
+    if (this.controls) this.controls.target.copy(camera.target);
+    this.replay = null;
+  }
 
-    block.position.set((Math.random() - 0.5) * 4, Math.random() * 2 + 1, -10);
+  // Move the sabers and head marker to the recording, cut the blocks again and show the HUD as it was
+  updateReplay(delta) {
+    const recording = this.replay.recording;
+    if (this.replay.live) {
+      this.followLiveRun();
+      // Nothing to show until the player's first state message
+      if (recording.frameCount === 0) return;
+    }
+    const time = this.audio.currentTime;
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    this.desktopSabers.forEach((saber) => {
+      saber.visible = recording.getPose(saber.userData.side, time, position, quaternion);
+      saber.position.copy(position);
+      saber.quaternion.copy(quaternion).multiply(saber.userData.bladeRotation.clone().invert());
+    });
+    const head = this.replay.head;
+    head.visible = recording.getPose("head", time, head.position, head.quaternion);
+
+    this.updateBlocks();
+    this.updateWalls(delta);
+    this.checkCollisions();
+
+    // The HUD shows the recorded values rather than what the cuts above scored
+    const hud = recording.getHudState(time);
+    this.hud.setScore(hud, recording.getLastEvent(time, ["cut"]));
+    this.hud.setHealth(hud.health);
+
+    const controls = this.replay.controls;
+    if (!controls) return;
+    controls.setTime(time);
+    controls.setPaused(!this.audio.playing);
+    const hit = recording.getLastEvent(time, REPLAY_HIT_TYPES);
+    controls.setEvent(hit ? `${hit.time.toFixed(2)} s: ${hit.type} (lane ${hit.note.lane}, layer ${hit.note.layer})` : "");
+  }
+
+  // Open a menu that is rebuilt when something happens in the multiplayer room, e.g. someone joins
+  openRoomMenu(reopen, panel) {
+    this.openMenu(panel);
+    this.roomMenu = { panel, reopen };
+  }
+
+  refreshRoomMenu() {
+    if (this.roomMenu && this.menu === this.roomMenu.panel) this.roomMenu.reopen();
+  }
+
+  // Join a room to play together or to spectate, or see who is in the room joined
+  showMultiplayerMenu() {
+    const { room } = getRelaySettings();
+    const connection = this.multiplayer;
+    if (connection && connection.role === "spectator") {
+      this.showSpectatorWaiting();
+      return;
+    }
+    if (!connection) {
+      this.openMenu(
+        new MenuPanel({
+          title: "Multiplayer",
+          lines: [`Room: ${room}`, "Needs the relay running: npm run relay"],
+          buttons: [
+            { label: "Play Together", onSelect: () => this.joinRoom("player") },
+            // Spectators watch in the replay viewer, so not in VR
+            ...(this.renderer.xr.isPresenting ? [] : [{ label: "Spectate", onSelect: () => this.joinRoom("spectator") }]),
+            { label: "Back", onSelect: () => this.showMainMenu() },
+          ],
+        }),
+      );
+      return;
+    }
+
+    const players = connection.players.map((peer) => peer.name);
+    this.openRoomMenu(
+      () => this.showMultiplayerMenu(),
+      new MenuPanel({
+        title: "Multiplayer",
+        lines: [`Room: ${room}`, players.length > 0 ? `With ${players.join(", ")}` : "Waiting for other players", "A song picked now starts for everyone"],
+        buttons: [
+          { label: "Song Select", onSelect: () => this.showSongSelect() },
+          { label: "Leave Room", onSelect: () => this.leaveRoom() },
+          { label: "Back", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  // role: "player" or "spectator"
+  joinRoom(role) {
+    const connection = new RelayConnection(getRelaySettings().url, role);
+    connection.onMessage = (message) => this.handleRoomMessage(message);
+    connection.onPeersChange = () => this.handleRoomPeers();
+    connection.onClose = () => {
+      console.error("Lost the connection to the relay");
+      this.leaveRoom();
+    };
+    this.openMenu(new MenuPanel({ title: "Connecting", lines: [connection.url] }));
+    connection
+      .connect()
+      .then(() => {
+        this.multiplayer = connection;
+        this.showMultiplayerMenu();
+      })
+      .catch((error) => {
+        console.error(error);
+        this.openMenu(
+          new MenuPanel({
+            title: "Multiplayer",
+            lines: ["Couldn't reach the relay", "Start it with npm run relay"],
+            buttons: [{ label: "Back", onSelect: () => this.showMultiplayerMenu() }],
+          }),
+        );
+      });
+  }
+
+  // A run in progress carries on alone
+  leaveRoom() {
+    if (!this.multiplayer) return;
+    this.multiplayer.close();
+    this.multiplayer = null;
+    this.broadcast = null;
+    this.endVersus();
+    if (this.pendingVersus) {
+      this.pendingVersus = null;
+      this.showSongSelect();
+    } else if (this.isWatchingLive()) {
+      this.showMainMenu();
+    } else {
+      this.refreshRoomMenu();
+    }
+  }
+
+  // Someone joined or left the room
+  handleRoomPeers() {
+    // Spectators who just joined learn about the run in progress
+    if (this.broadcast) this.multiplayer.send({ type: "start", run: this.broadcast.run });
+    if (this.isWatchingLive() && !this.multiplayer.peers.some((peer) => peer.id === this.replay.recording.peer.id)) {
+      this.showSpectatorWaiting();
+      return;
+    }
+    this.refreshRoomMenu();
+  }
+
+  // Messages from the others in the room, see multiplayer.js
+  handleRoomMessage(message) {
+    const peer = this.multiplayer.peers.find((other) => other.id === message.from);
+    if (!peer) return;
+    const spectating = this.multiplayer.role === "spectator";
+    if (message.type === "invite") {
+      if (!spectating) this.joinVersus(peer, message.run);
+      return;
+    }
+    if (message.type === "start" && spectating) {
+      this.spectate(peer, message.run);
+      return;
+    }
+
+    const versus = this.versus || this.pendingVersus;
+    const stream = this.isWatchingLive() ? this.replay.recording : versus && versus.opponents.get(peer.id);
+    if (!stream || stream.peer.id !== peer.id) return;
+    switch (message.type) {
+      case "start":
+        // An opponent's own blade length and hands, for drawing their sabers
+        stream.run = message.run;
+        break;
+      case "state":
+        stream.add(message);
+        break;
+      case "finish":
+        stream.results = message.results;
+        if (spectating) {
+          this.showWatchedResults(stream);
+        } else {
+          this.refreshRoomMenu();
+        }
+        break;
+      case "stop":
+        stream.stopped = true;
+        if (spectating) {
+          this.showSpectatorWaiting();
+        } else {
+          this.refreshRoomMenu();
+        }
+        break;
+    }
+  }
+
+  // In a room with other players, a picked song starts for all of them at once
+  startLoadedBeatmap() {
+    const connection = this.multiplayer;
+    if (!connection || connection.role !== "player" || connection.players.length === 0) {
+      this.startRun();
+      return;
+    }
+    this.applyRunOptions(this.settings);
+    const run = { ...this.describeRun(), songSpeed: this.audio.playbackRate, startAt: connection.now + VERSUS_START_DELAY };
+    connection.send({ type: "invite", run });
+    this.prepareVersus(run, connection.players);
+  }
+
+  // Another player picked a song; busy players and invitations that come too late pass on it
+  joinVersus(peer, run) {
+    if (!this.state.is(GameState.MENU, GameState.SONG_SELECT, GameState.FAILED, GameState.RESULTS) || this.pendingVersus) return;
+    if (run.startAt <= this.multiplayer.now) return;
+    if (this.state.is(GameState.MENU)) this.state.transition(GameState.SONG_SELECT);
+    this.openMenu(new MenuPanel({ title: "Loading", lines: [run.title, `Picked by ${peer.name}`] }));
+    this.loadRun(run)
+      .then(() => {
+        if (this.multiplayer) this.prepareVersus(run, this.multiplayer.players);
+      })
+      .catch((error) => {
+        console.error("Failed to load the picked beatmap:", error);
+        this.showSongSelect();
+      });
+  }
+
+  // Wait for the versus run's start time with its map loaded. The song starts when the
+  // timer fires, so a player whose map took longer than VERSUS_START_DELAY to load starts late.
+  prepareVersus(run, peers) {
+    const versus = { run, opponents: new Map(peers.map((peer) => [peer.id, new RemoteStream(peer, run)])) };
+    this.pendingVersus = versus;
+    this.openMenu(
+      new MenuPanel({
+        title: "Get Ready",
+        lines: [run.title, `Against ${peers.map((peer) => peer.name).join(", ")}`],
+        buttons: [
+          {
+            label: "Cancel",
+            onSelect: () => {
+              this.pendingVersus = null;
+              this.showSongSelect();
+            },
+          },
+        ],
+      }),
+    );
+    setTimeout(
+      () => {
+        if (this.pendingVersus !== versus) return;
+        this.pendingVersus = null;
+        this.startRun(versus);
+      },
+      Math.max(0, run.startAt - this.multiplayer.now) * 1000,
+    );
+  }
+
+  endVersus() {
+    if (!this.versus) return;
+    this.versus.opponents.forEach((stream) => {
+      if (!stream.avatar) return;
+      stream.avatar.removeFromParent();
+      stream.avatar.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+      stream.avatar = null;
+    });
+    this.hud.removeOpponents();
+    this.versus = null;
+  }
+
+  // Another player's head and sabers, shown to the side of the track
+  createOpponentAvatar(stream, index) {
+    const { bladeLength = 1, swapHands = false } = stream.run.settings;
+    const avatar = new THREE.Group();
+    avatar.position.x = OPPONENT_SPACING * (index + 1);
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.25, 0.25), new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true }));
+    avatar.add(head);
+    avatar.userData.head = head;
+    ["left", "right"].forEach((side) => {
+      const colorId = (side === "left") !== swapHands ? "red" : "blue";
+      // Poses have the blade along +Y from the saber's origin
+      const geometry = new THREE.CylinderGeometry(0.015, 0.015, bladeLength, 8).translate(0, bladeLength / 2, 0);
+      const saber = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: this.colorScheme.notes[colorId], transparent: true, opacity: 0.6 }));
+      avatar.add(saber);
+      avatar.userData[side] = saber;
+    });
+    this.scene.add(avatar);
+    return avatar;
+  }
+
+  // Move the opponents' sabers to where they were a moment ago and show their scores
+  updateOpponents() {
+    if (!this.multiplayer) return;
+    const lines = [];
+    [...this.versus.opponents.values()].forEach((stream, index) => {
+      if (!stream.latest) return;
+      if (!stream.avatar) stream.avatar = this.createOpponentAvatar(stream, index);
+      const time = stream.estimateSongTime(this.multiplayer.now) - INTERPOLATION_DELAY;
+      ["head", "left", "right"].forEach((name) => {
+        const mesh = stream.avatar.userData[name];
+        mesh.visible = !stream.stopped && stream.getPose(name, time, mesh.position, mesh.quaternion);
+      });
+      const { score, combo } = stream.getHudState(time);
+      lines.push(`${stream.peer.name}: ${stream.results || stream.stopped ? this.describeOpponentResult(stream) : `${score}  Combo ${combo}`}`);
+    });
+    if (lines.length > 0) this.hud.setOpponents(lines);
+  }
+
+  describeOpponentResult(stream) {
+    const results = stream.results;
+    if (results) return results.cleared ? `${results.score} (${results.rank})` : "Failed";
+    return stream.stopped ? "Left" : "Playing";
+  }
+
+  // Send the run to the room: spectators watch it and opponents see its sabers and score
+  startBroadcast() {
+    const connection = this.multiplayer;
+    if (!connection || connection.role !== "player" || this.playtest) return;
+    const run = { ...this.describeRun(), songSpeed: this.audio.playbackRate, startAt: connection.now };
+    this.broadcast = { run, age: Infinity, sentEvents: 0 };
+    connection.send({ type: "start", run });
+  }
+
+  // Poses and HUD values MULTIPLAYER_SEND_RATE times a second, with the hits since the last message
+  sendRunState(delta, paused = false) {
+    const broadcast = this.broadcast;
+    broadcast.age += delta;
+    if (broadcast.age < 1 / MULTIPLAYER_SEND_RATE && !paused) return;
+    broadcast.age = 0;
+    const events = this.replayRecorder ? this.replayRecorder.header.events.slice(broadcast.sentEvents) : [];
+    broadcast.sentEvents += events.length;
+    const frame = packFrame([], this.songTime, this.getHudValues(), this.getTrackedObjects());
+    this.multiplayer.send({ type: "state", time: this.multiplayer.now, frame, events, paused });
+  }
+
+  // Tell the room the run is over, with its results or, when it was left, without
+  endBroadcast(results = null) {
+    if (!this.broadcast) return;
+    this.broadcast = null;
+    if (this.multiplayer) this.multiplayer.send(results ? { type: "finish", results } : { type: "stop" });
+  }
+
+  isWatchingLive() {
+    return this.state.is(GameState.REPLAY) && this.replay.live;
+  }
+
+  // Waiting in the room as a spectator; the next run a player starts is watched
+  showSpectatorWaiting() {
+    if (!this.state.is(GameState.MENU)) {
+      this.stopRun();
+      this.state.transition(GameState.MENU);
+    }
+    const { room } = getRelaySettings();
+    const players = this.multiplayer.players.map((peer) => peer.name);
+    this.openRoomMenu(
+      () => this.showMultiplayerMenu(),
+      new MenuPanel({
+        title: "Spectating",
+        lines: [`Room: ${room}`, players.length > 0 ? `Players: ${players.join(", ")}` : "No players in the room yet", "Waiting for a song to start"],
+        buttons: [
+          { label: "Leave Room", onSelect: () => this.leaveRoom() },
+          { label: "Back", onSelect: () => this.showMainMenu() },
+        ],
+      }),
+    );
+  }
+
+  // Watch a player's run in the replay viewer while they play it; a spectator sticks with one
+  // player until their run is over
+  spectate(peer, run) {
+    if (this.isWatchingLive()) {
+      const watched = this.replay.recording;
+      if (watched.peer.id === peer.id && watched.run.startAt === run.startAt) return;
+      if (watched.peer.id !== peer.id && !watched.results) return;
+      this.state.transition(GameState.MENU);
+    } else if (!this.state.is(GameState.MENU)) {
+      return;
+    }
+    this.watchReplay(new RemoteStream(peer, run), true);
+  }
+
+  // Keep a live run's song just behind the player's, pausing and seeking along with them
+  followLiveRun() {
+    if (!this.multiplayer) return;
+    const stream = this.replay.recording;
+    const target = stream.estimateSongTime(this.multiplayer.now) - INTERPOLATION_DELAY;
+    const playing = target > 0 && !stream.results && !(stream.latest && stream.latest.paused);
+    if (playing && !this.audio.playing) this.audio.resume();
+    if (!playing && this.audio.playing) this.audio.pause();
+    if (playing && Math.abs(this.audio.currentTime - target) > SPECTATOR_RESYNC) this.seekReplay(target);
+  }
+
+  showWatchedResults(stream) {
+    const { cleared, score, accuracy, rank } = stream.results;
+    this.openMenu(
+      new MenuPanel({
+        title: `${stream.peer.name} ${cleared ? "Cleared" : "Failed"}`,
+        lines: [stream.run.title, `Score: ${score}`, `Accuracy: ${(accuracy * 100).toFixed(1)}%`, `Rank: ${rank}`, "Waiting for the next song"],
+        buttons: [{ label: "Main Menu", onSelect: () => this.showMainMenu() }],
+      }),
+    );
+  }
+
+  // Show a menu panel in front of the player, replacing any open one
+  openMenu(panel) {
+    // Menus are pointed at with the mouse, so give it back
+    if (this.desktopControls) {
+      this.relockPointer = this.relockPointer || this.desktopControls.locked;
+      this.desktopControls.unlockPointer();
+    }
+    this.sabers.forEach((saber) => saber.userData.trail.clear());
+    this.closeMenu();
+    this.menu = panel;
+    this.scene.add(panel.group);
+    this.menuPointer.setPanel(panel);
+    this.menuNeedsPlacement = true;
+    this.placeMenu();
+  }
+
+  placeMenu() {
+    if (!this.menu || !this.menuNeedsPlacement) return;
+
+    // The XR camera has no pose until the first frame of a session has rendered
+    const headPosition = this.getHeadPosition();
+    if (this.renderer.xr.isPresenting && headPosition.lengthSq() === 0) return;
+
+    const camera = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+    const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+    const group = this.menu.group;
+    group.position.copy(headPosition).addScaledVector(forward, MENU_DISTANCE);
+    group.lookAt(headPosition.x, group.position.y, headPosition.z);
+    this.menuNeedsPlacement = false;
+  }
+
+  closeMenu() {
+    if (this.desktopControls) this.desktopControls.onCapture = null;
+    if (this.gamepadControls) this.gamepadControls.onCapture = null;
+    if (!this.menu) return;
+    this.menu.dispose();
+    this.menu = null;
+    this.menuPointer.setPanel(null);
+  }
+
+  // Toggle pause with the face buttons of the XR controllers
+  pollPauseButtons() {
+    this.controllers.forEach((controller) => {
+      const gamepad = controller.userData.inputSource?.gamepad;
+      if (!gamepad) return;
+
+      const pressed = PAUSE_BUTTONS.some((index) => gamepad.buttons[index]?.pressed);
+      if (pressed && !controller.userData.pauseHeld) {
+        this.togglePause();
+      }
+      controller.userData.pauseHeld = pressed;
+    });
+  }
+
+  spawnObject(object) {
+    switch (object.type) {
+      case "note":
+        this.spawnBlock(object);
+        break;
+      case "bomb":
+        if (!this.modifiers.includes("noBombs")) this.spawnBomb(object);
+        break;
+      case "obstacle":
+        this.spawnWall(object);
+        break;
+    }
+  }
+
+  getHitZ() {
+    return this.renderer.xr.isPresenting ? HIT_Z_VR : HIT_Z_DESKTOP;
+  }
+
+  spawnBlock(note) {
+    const block = this.acquireObject(this.pools.blocks);
+    // Ghost notes show only their arrow or dot
+    block.material = this.modifiers.includes("ghostNotes") ? this.resources.ghostMaterial : this.resources.blockMaterials[note.color];
+    block.scale.setScalar(this.modifiers.includes("smallNotes") ? SMALL_NOTE_SCALE : 1);
+    block.userData.arrow.visible = note.direction !== "any";
+    block.userData.dot.visible = note.direction === "any";
+
+    block.position.set(laneToX(note.lane), layerToY(note.layer), this.scheduler.positionAt(note.seconds, this.songTime));
+    block.rotation.set(0, 0, getDirectionRotation(note.direction));
+    block.userData.note = note;
+    this.resetPreviousMatrix(block);
 
     this.blocks.push(block);
-    this.scene.add(block);
+  }
+
+  spawnBomb(bomb) {
+    const block = this.acquireObject(this.pools.bombs);
+    block.position.set(laneToX(bomb.lane), layerToY(bomb.layer), this.scheduler.positionAt(bomb.seconds, this.songTime));
+    block.userData.note = bomb;
+    this.resetPreviousMatrix(block);
+
+    this.blocks.push(block);
+  }
+
+  // Blocks remember last frame's pose so the blade sweep can follow their motion
+  resetPreviousMatrix(block) {
+    block.updateMatrixWorld();
+    if (!block.userData.previousMatrix) block.userData.previousMatrix = new THREE.Matrix4();
+    block.userData.previousMatrix.copy(block.matrixWorld);
+  }
+
+  spawnWall(obstacle) {
+    const width = obstacle.width * LANE_WIDTH;
+    const bottom = obstacle.kind === "crouch" ? CROUCH_WALL_BOTTOM : 0;
+    const height = WALL_TOP - bottom;
+    const depth = (obstacle.endSeconds - obstacle.seconds) * this.scheduler.noteJumpSpeed;
+
+    // Walls share a unit box scaled to their size
+    const wall = this.acquireObject(this.pools.walls);
+    wall.scale.set(width, height, depth);
+    wall.position.set(laneToX(obstacle.lane) + ((obstacle.width - 1) * LANE_WIDTH) / 2, bottom + height / 2, 0);
+    wall.userData.obstacle = obstacle;
+    wall.userData.depth = depth;
+    this.positionWall(wall);
+
+    this.walls.push(wall);
+  }
+
+  // The front face of a wall reaches the hit plane at its start time
+  positionWall(wall) {
+    wall.position.z = this.scheduler.positionAt(wall.userData.obstacle.seconds, this.songTime) - wall.userData.depth / 2;
+    wall.updateMatrixWorld();
+  }
+
+  getHeadPosition() {
+    if (this.renderer.xr.isPresenting) {
+      return this.renderer.xr.getCamera().getWorldPosition(new THREE.Vector3());
+    }
+    return this.camera.position.clone();
+  }
+
+  updateWalls(delta) {
+    const headPosition = this.getHeadPosition();
+    for (let i = this.walls.length - 1; i >= 0; i--) {
+      const wall = this.walls[i];
+      this.positionWall(wall);
+
+      // Remove walls once their back face has passed the player
+      if (wall.position.z - wall.userData.depth / 2 > 4) {
+        this.releaseObject(wall);
+        this.walls.splice(i, 1);
+        continue;
+      }
+
+      // Drain health while the player's head is inside the wall
+      if (new THREE.Box3().setFromObject(wall).containsPoint(headPosition)) {
+        this.health.drainWall(delta);
+        this.updateHealthBar();
+      }
+    }
   }
 
   updateBlocks() {
-    const speed = 0.05;
+    // Positions come from the song clock, so dropped frames don't desync the blocks
+    this.songTime = this.audio.currentTime;
+    this.scheduler.hitZ = this.getHitZ();
+    this.scheduler.update(this.songTime, (object) => this.spawnObject(object));
+    this.hud.setProgress(this.songTime / this.getSongLength());
+
+    if (this.isSongFinished()) {
+      // A replay holds at its end, where the timeline can still scrub back
+      if (this.state.is(GameState.REPLAY)) {
+        if (this.audio.playing && this.replay.controls) this.toggleReplayPause();
+      } else {
+        this.finishLevel();
+      }
+      return;
+    }
+
+    // Ghost notes and disappearing arrows lose their markers halfway between the spawn point and the player
+    const hideMarkers = this.modifiers.includes("ghostNotes") || this.modifiers.includes("disappearingArrows");
+    const markersHiddenZ = hideMarkers ? (this.scheduler.spawnZ + this.scheduler.hitZ) / 2 : Infinity;
     for (let i = this.blocks.length - 1; i >= 0; i--) {
       const block = this.blocks[i];
-      block.position.z += speed;
+      block.userData.previousMatrix.copy(block.matrixWorld);
+      block.position.z = this.scheduler.positionAt(block.userData.note.seconds, this.songTime);
+      block.updateMatrixWorld();
+      if (block.position.z > markersHiddenZ && block.userData.note.type === "note") {
+        block.userData.arrow.visible = false;
+        block.userData.dot.visible = false;
+      }
+
+      // Letting a bomb pass is the right call
+      if (block.position.z > 4 && block.userData.note.type === "bomb") {
+        this.releaseObject(block);
+        this.blocks.splice(i, 1);
+        continue;
+      }
 
       // If block passes player without being hit
       if (block.position.z > 4) {
-        // Add "miss" animation
-        const direction = new THREE.Vector3((Math.random() - 0.5) * 0.1, 0.1, 0.2);
-        const rotationSpeed = new THREE.Vector3(Math.random() * 0.2 - 0.1, Math.random() * 0.2 - 0.1, Math.random() * 0.2 - 0.1);
+        this.blocks.splice(i, 1);
 
-        const animate = () => {
+        // Tumble away, then go back to the pool
+        const velocity = new THREE.Vector3((Math.random() - 0.5) * 6, 6, 12);
+        const spin = new THREE.Vector3(Math.random() * 12 - 6, Math.random() * 12 - 6, Math.random() * 12 - 6);
+        this.animator.add((delta) => {
           if (block.position.z > 12) {
-            this.scene.remove(block);
-            return;
+            this.releaseObject(block);
+            return true;
           }
+          velocity.y -= MISS_GRAVITY * delta;
+          block.position.addScaledVector(velocity, delta);
+          block.rotation.x += spin.x * delta;
+          block.rotation.y += spin.y * delta;
+          block.rotation.z += spin.z * delta;
+          return false;
+        });
 
-          block.position.add(direction);
-          direction.y -= 0.006;
-
-          block.rotation.x += rotationSpeed.x;
-          block.rotation.y += rotationSpeed.y;
-          block.rotation.z += rotationSpeed.z;
-
-          // Use setTimeout for VR, requestAnimationFrame for desktop
-          if (this.renderer.xr.isPresenting) {
-            setTimeout(() => animate(), 16);
-          } else {
-            requestAnimationFrame(animate);
-          }
-        };
-
-        animate();
-        this.blocks.splice(i, 1);
+        this.recordReplayEvent("miss", block.userData.note);
+        this.scoreKeeper.registerMiss();
+        this.health.apply("miss");
+        this.updateScore();
+        this.updateHealthBar();
       }
     }
-
-    if (Math.random() < 0.02) {
-      this.spawnBlock();
-    }
   }
 
   onWindowResize() {
+    this.fitCamera();
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+  }
+
+  fitCamera() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
+    if (this.isMobile) {
+      const distance = this.camera.position.z - HIT_Z_DESKTOP;
+      const fov = THREE.MathUtils.radToDeg(2 * Math.atan(TRACK_VIEW_HALF_WIDTH / distance / this.camera.aspect));
+      this.camera.fov = Math.max(MOBILE_MIN_FOV, fov);
+    }
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
   animate() {
@@ -369,333 +2068,349 @@ export class BeatSaberGame {
     if (this.controls) {
       this.controls.update();
     }
+    // Gamepads are polled even while paused, for the pause button and menu navigation
+    this.gamepadControls.update(delta);
+    // During a replay the recording moves the sabers and the mouse only moves the camera
+    if (!this.renderer.xr.isPresenting && !this.state.is(GameState.PAUSED) && !this.state.is(GameState.REPLAY)) {
+      this.desktopControls?.update(delta);
+      Object.values(this.saberMotions).forEach((motion) => motion.follow(delta));
+    }
 
-    // Update text positions in VR
-    if (this.renderer.xr.isPresenting) {
-      // Get camera position and direction
-      const cameraPosition = new THREE.Vector3();
-      const cameraDirection = new THREE.Vector3();
-
-      // Get the XR camera
-      const xrCamera = this.renderer.xr.getCamera();
-      xrCamera.getWorldPosition(cameraPosition);
-      xrCamera.getWorldDirection(cameraDirection);
-
-      // Position score text
-      if (this.scoreText3D) {
-        // Position score text 2 meters in front, further left
-        const scorePos = cameraPosition
-          .clone()
-          .add(cameraDirection.clone().multiplyScalar(2)) // 2 meters in front
-          .add(new THREE.Vector3(-1.0, 0.3, 0)); // Increased left offset
-        this.scoreText3D.position.copy(scorePos);
-        this.scoreText3D.quaternion.copy(xrCamera.quaternion); // Match camera rotation
-      }
-
-      // Position help text
-      if (this.helpText3D) {
-        // Position help text 2 meters in front, further right
-        const helpPos = cameraPosition
-          .clone()
-          .add(cameraDirection.clone().multiplyScalar(2)) // 2 meters in front
-          .add(new THREE.Vector3(1.0, 0.3, 0)); // Increased right offset
-        this.helpText3D.position.copy(helpPos);
-        this.helpText3D.quaternion.copy(xrCamera.quaternion); // Match camera rotation
-      }
-    } else {
-      // Desktop mode text updates
-      if (this.scoreText3D) {
-        this.scoreText3D.lookAt(this.camera.position);
-      }
-      if (this.helpText3D) {
-        this.helpText3D.lookAt(this.camera.position);
-      }
+    // Head-locked HUD in VR, world-anchored on desktop
+    this.hud.updatePlacement(this.renderer, this.camera);
+
+    this.pollPauseButtons();
+    this.placeMenu();
+    this.menuPointer.update(this.renderer.xr.isPresenting);
+
+    // Blocks, walls and cuts only advance while playing; effects also freeze while paused
+    if (this.state.is(GameState.PLAYING)) {
+      this.updateBlocks();
+      this.updateWalls(delta);
+      this.checkCollisions();
+      if (this.replayRecorder && this.state.is(GameState.PLAYING)) this.recordReplayFrame();
+      if (this.broadcast && this.state.is(GameState.PLAYING)) this.sendRunState(delta);
+      if (this.failPending) this.failLevel();
+    } else if (this.state.is(GameState.REPLAY)) {
+      this.updateReplay(delta);
+    } else if (this.state.is(GameState.EDITOR)) {
+      this.editorView.update();
+    }
+    if (this.versus) this.updateOpponents();
+    if (!this.state.is(GameState.PAUSED)) {
+      this.updateDebris(delta);
+      this.environment.update(delta, this.songTime, this.audio.getBassLevel());
     }
+    this.animator.update(delta, this.state.is(GameState.PAUSED));
 
-    this.updateBlocks();
-    this.checkCollisions();
+    this.updateStats(delta);
 
     this.renderer.render(this.scene, this.camera);
   }
 
-  updateScore(amount) {
-    this.score += amount;
+  updateScore() {
+    this.hud.setScore(this.scoreKeeper, this.lastCut);
+  }
 
-    if (this.scoreText3D) {
-      const loader = new FontLoader();
-      loader.load("https://threejs.org/examples/fonts/helvetiker_regular.typeface.json", (font) => {
-        const newGeometry = new TextGeometry(`Score: ${this.score}`, {
-          font: font,
-          size: 0.15,
-          depth: 0.02,
-        });
+  toggleStats() {
+    this.showStats = !this.showStats;
+    this.statsAge = STATS_INTERVAL;
+    if (!this.showStats) this.hud.removeStats();
+  }
 
-        this.scoreText3D.geometry.dispose();
-        this.scoreText3D.geometry = newGeometry;
-      });
-    }
+  // Live object counts next to what the renderer drew last frame, to catch leaks
+  updateStats(delta) {
+    if (!this.showStats) return;
+    this.statsAge += delta;
+    if (this.statsAge < STATS_INTERVAL) return;
+    this.statsAge = 0;
+
+    const info = this.renderer.info;
+    const pools = this.pools;
+    const poolLine = (name) => `${name}: ${pools[name].active} live / ${pools[name].created} made`;
+    this.hud.setStats([
+      `Draw calls: ${info.render.calls}  Triangles: ${info.render.triangles}`,
+      `Geometries: ${info.memory.geometries}  Textures: ${info.memory.textures}`,
+      poolLine("blocks"),
+      poolLine("bombs"),
+      poolLine("walls"),
+      poolLine("debris"),
+      poolLine("particles"),
+    ]);
   }
 
   checkCollisions() {
     this.sabers.forEach((saber) => {
       saber.updateMatrixWorld();
-      const currentMatrix = saber.matrixWorld.clone();
-      const previousMatrix = saber.userData.previousMatrix || currentMatrix.clone();
-      saber.userData.previousMatrix = currentMatrix.clone();
-
-      const blade = saber.children[1];
-      const saberColor = blade.material.color.getHex();
-
-      // Define blade points based on VR or desktop mode
-      const isVR = this.renderer.xr.isPresenting;
-      const localPoints = isVR
-        ? [
-            // VR mode: Points along Z-axis due to blade rotation
-            new THREE.Vector3(0, 0, 0), // Base
-            new THREE.Vector3(0, 0, -0.3), // Lower middle
-            new THREE.Vector3(0, 0, -0.6), // Upper middle
-            new THREE.Vector3(0, 0, -0.9), // Tip
-          ]
-        : [
-            // Desktop mode: Points along Y-axis
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, 0.4, 0),
-            new THREE.Vector3(0, 0.8, 0),
-            new THREE.Vector3(0, 1.2, 0),
-          ];
-
-      // Transform points to world space
-      const currentPoints = localPoints.map((p) => p.clone().applyMatrix4(currentMatrix));
-      const previousPoints = localPoints.map((p) => p.clone().applyMatrix4(previousMatrix));
-
-      // Check collisions with blocks
+      const sweep = saber.userData.sweep.set(saber.userData.previousMatrix || saber.matrixWorld, saber.matrixWorld);
+      if (!saber.userData.previousMatrix) saber.userData.previousMatrix = new THREE.Matrix4();
+      saber.userData.previousMatrix.copy(saber.matrixWorld);
+
+      // VR sabers hang off their controller, whose input source can vibrate
+      const inputSource = saber.parent && saber.parent.userData.inputSource;
+
+      this.updateTrail(saber, sweep);
+
+      // Feed the blade direction to the swing tracker for pre- and post-swing angles
+      const swingTracker = saber.userData.swingTracker;
+      swingTracker.addSample(sweep.directionAt(1, new THREE.Vector3()), this.clock.elapsedTime);
+
       for (let i = this.blocks.length - 1; i >= 0; i--) {
         const block = this.blocks[i];
-        const blockColor = block.material.color.getHex();
-        const blockBox = new THREE.Box3().setFromObject(block);
-
-        let hasCollision = false;
-        let collisionPoint = new THREE.Vector3();
-
-        // Check each segment of the blade
-        for (let j = 0; j < currentPoints.length - 1; j++) {
-          // Create a swept area between previous and current positions
-          const currentStart = currentPoints[j];
-          const currentEnd = currentPoints[j + 1];
-          const previousStart = previousPoints[j];
-          const previousEnd = previousPoints[j + 1];
-
-          // Check if any point of this swept area intersects with the block
-          if (this.checkSweptLineBox(previousStart, previousEnd, currentStart, currentEnd, blockBox, collisionPoint)) {
-            hasCollision = true;
-            break;
-          }
+        const hit = sweep.intersectObject(block, block.userData.previousMatrix);
+        if (!hit) continue;
+
+        this.scene.remove(block);
+        this.blocks.splice(i, 1);
+
+        if (block.userData.note.type === "bomb") {
+          this.recordReplayEvent("bomb", block.userData.note);
+          this.haptics.play(inputSource, "bomb");
+          this.hitBomb(block, hit.point);
+          continue;
         }
 
-        if (hasCollision) {
-          // Remove the block
-          this.scene.remove(block);
-          this.blocks.splice(i, 1);
-
-          // Calculate swing direction for particles
-          const swingDirection = new THREE.Vector3().subVectors(currentPoints[3], previousPoints[3]).normalize();
-
-          // Update score and create hit effect
-          if (blockColor === saberColor) {
-            this.updateScore(1);
-            const effectPos = collisionPoint.clone().add(swingDirection.multiplyScalar(0.1));
-            this.createHitEffect(effectPos, true);
-          } else {
-            this.updateScore(-1);
-            const effectPos = collisionPoint.clone().add(swingDirection.multiplyScalar(0.1));
-            this.createHitEffect(effectPos, false);
-          }
+        // A good cut needs the matching color and a swing along the arrow
+        let result = "good";
+        if (block.userData.note.color !== saber.userData.colorId) {
+          result = "wrongColor";
+        } else if (!isCutDirectionValid(hit.swing, block.userData.note.direction, this.cutAngleTolerance)) {
+          result = "wrongDirection";
         }
+        this.recordReplayEvent(result, block.userData.note);
+
+        if (result === "good") {
+          this.scoreCut(swingTracker, hit.normal, block.position, hit.point);
+          this.health.apply("goodCut");
+        } else {
+          this.scoreKeeper.registerBadCut();
+          this.health.apply("badCut");
+        }
+        this.updateScore();
+        this.updateHealthBar();
+        this.haptics.play(inputSource, result === "good" ? "goodCut" : "badCut");
+
+        const swingDirection = hit.swing.clone().normalize();
+        this.createHitEffect(hit.point.clone().addScaledVector(swingDirection, 0.1), result);
+        this.sliceBlock(block, hit.normal, hit.point, swingDirection);
+      }
+
+      // Buzz while the blade is inside a wall
+      if (inputSource && this.walls.some((wall) => sweep.intersectObject(wall))) {
+        this.haptics.play(inputSource, "wall");
       }
     });
   }
 
-  checkSweptLineBox(lineStart1, lineEnd1, lineStart2, lineEnd2, box, hitPoint) {
-    // Create a triangle from the swept line
-    const points = [lineStart1, lineEnd1, lineStart2, lineEnd2];
+  // Extend the trail with this frame's blade, hidden when trails are off or the saber is
+  updateTrail(saber, sweep) {
+    const trail = saber.userData.trail;
+    trail.mesh.visible = this.settings.trails && saber.visible;
+    // Start afresh once shown again, rather than drawing a ribbon from where the blade was when it was hidden
+    if (!trail.mesh.visible) {
+      if (trail.samples.length > 0) trail.clear();
+      return;
+    }
+
+    const base = new THREE.Vector3();
+    const tip = new THREE.Vector3();
+    sweep.segmentAt(1, base, tip);
+    trail.push(base, tip);
+  }
+
+  hitBomb(bomb, collisionPoint) {
+    this.scoreKeeper.registerBombHit();
+    this.health.apply("bomb");
+    this.updateScore();
+    this.updateHealthBar();
+    this.createHitEffect(collisionPoint, "bomb");
+    this.releaseObject(bomb);
+  }
+
+  scoreCut(swingTracker, cutNormal, blockCenter, collisionPoint) {
+    const pending = this.scoreKeeper.beginCut();
+    const preSwingAngle = swingTracker.getPreSwingAngle();
+
+    // Accuracy is the distance from the block center to the cut plane
+    const toCenter = new THREE.Vector3().subVectors(blockCenter, collisionPoint);
+    const centerDistance = cutNormal.lengthSq() > 0 ? Math.abs(toCenter.dot(cutNormal)) : toCenter.length();
+
+    swingTracker.trackFollowThrough((postSwingAngle) => {
+      this.lastCut = this.scoreKeeper.finishCut(pending, scoreCut({ preSwingAngle, postSwingAngle, centerDistance }));
+      if (this.replayRecorder) this.replayRecorder.addEvent({ time: this.songTime, type: "cut", ...this.lastCut });
+      this.updateScore();
+    });
+  }
 
-    // Check if any point is inside the box
-    for (const point of points) {
-      if (box.containsPoint(point)) {
-        hitPoint.copy(point);
-        return true;
+  // Replace a cut block with two halves that fly apart along the cut plane
+  sliceBlock(block, cutNormal, cutPoint, swingDirection) {
+    const normal = cutNormal.lengthSq() > 0 ? cutNormal : new THREE.Vector3(1, 0, 0);
+
+    // Slice in the block's local space
+    block.updateMatrixWorld();
+    const worldPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, cutPoint);
+    const localPlane = worldPlane.clone().applyMatrix4(block.matrixWorld.clone().invert());
+    const pieces = [this.acquireObject(this.pools.debris), this.acquireObject(this.pools.debris)];
+    const halves = sliceGeometry(block.geometry, localPlane, { front: pieces[0].geometry, back: pieces[1].geometry });
+
+    [halves.front, halves.back].forEach((geometry, index) => {
+      const half = pieces[index];
+      if (!geometry) {
+        this.releaseObject(half);
+        return;
       }
-    }
 
-    // Check line segments against box
-    const segments = [
-      [lineStart1, lineEnd1],
-      [lineStart2, lineEnd2],
-      [lineStart1, lineStart2],
-      [lineEnd1, lineEnd2],
-    ];
+      half.material.color.copy(this.resources.blockMaterials[block.userData.note.color].color);
+      half.material.opacity = 1;
+      half.position.copy(block.position);
+      half.quaternion.copy(block.quaternion);
+      half.scale.copy(block.scale);
+
+      // Push the halves apart along the plane normal and carry on in the swing direction
+      const side = index === 0 ? 1 : -1;
+      const velocity = normal
+        .clone()
+        .multiplyScalar(side * 1.5)
+        .add(swingDirection.clone().multiplyScalar(2))
+        .add(new THREE.Vector3(0, 1, 2));
+      const spin = new THREE.Vector3((Math.random() - 0.5) * 10, (Math.random() - 0.5) * 10, side * 6);
+
+      this.debris.push({ mesh: half, velocity, spin, age: 0 });
+    });
 
-    for (const [start, end] of segments) {
-      const direction = end.clone().sub(start).normalize();
-      const ray = new THREE.Ray(start, direction);
-      const distance = start.distanceTo(end);
+    // The original block goes back to its pool
+    this.releaseObject(block);
+  }
 
-      if (ray.intersectBox(box, hitPoint)) {
-        if (hitPoint.distanceTo(start) <= distance) {
-          return true;
-        }
+  updateDebris(delta) {
+    for (let i = this.debris.length - 1; i >= 0; i--) {
+      const piece = this.debris[i];
+      piece.age += delta;
+
+      if (piece.age > DEBRIS_LIFETIME) {
+        this.releaseObject(piece.mesh);
+        this.debris.splice(i, 1);
+        continue;
       }
+
+      piece.velocity.y -= GRAVITY * delta;
+      piece.mesh.position.addScaledVector(piece.velocity, delta);
+      piece.mesh.rotation.x += piece.spin.x * delta;
+      piece.mesh.rotation.y += piece.spin.y * delta;
+      piece.mesh.rotation.z += piece.spin.z * delta;
+      piece.mesh.material.opacity = 1 - piece.age / DEBRIS_LIFETIME;
     }
+  }
 
-    return false;
+  updateHealthBar() {
+    this.hud.setHealth(this.health.value);
   }
 
-  createHitEffect(position, isMatch) {
+  createHitEffect(position, result) {
     if (!position || !this.scene) return;
 
-    const particleCount = 50; // Increased particle count
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    const colors = new Float32Array(particleCount * 3);
+    const particles = this.acquireObject(this.pools.particles);
+    const { initialPositions, velocities } = particles.userData;
+    const positions = particles.geometry.attributes.position.array;
+    const colors = particles.geometry.attributes.color;
+    const material = particles.material;
 
-    const color = isMatch ? new THREE.Color(0x00ff00) : new THREE.Color(0xff0000);
-    const spread = 0.5; // Increased spread
+    const color = new THREE.Color(this.colorScheme.hitEffects[result]);
+    const spread = 0.5;
 
     // Create particles in a sphere
-    for (let i = 0; i < particleCount; i++) {
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
       const theta = Math.random() * Math.PI * 2;
       const phi = Math.random() * Math.PI;
       const r = Math.random() * spread;
 
-      const x = r * Math.sin(phi) * Math.cos(theta);
-      const y = r * Math.sin(phi) * Math.sin(theta);
-      const z = r * Math.cos(phi);
-
-      positions[i * 3] = position.x + x;
-      positions[i * 3 + 1] = position.y + y;
-      positions[i * 3 + 2] = position.z + z;
+      initialPositions[i * 3] = position.x + r * Math.sin(phi) * Math.cos(theta);
+      initialPositions[i * 3 + 1] = position.y + r * Math.sin(phi) * Math.sin(theta);
+      initialPositions[i * 3 + 2] = position.z + r * Math.cos(phi);
 
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
+      colors.setXYZ(i, color.r, color.g, color.b);
     }
+    positions.set(initialPositions);
+    particles.geometry.attributes.position.needsUpdate = true;
+    colors.needsUpdate = true;
+    material.opacity = 1;
 
-    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-
-    const material = new THREE.PointsMaterial({
-      size: 0.05, // Increased size
-      vertexColors: true,
-      transparent: true,
-      opacity: 1,
-      sizeAttenuation: true,
-      blending: THREE.AdditiveBlending,
-      depthWrite: false,
-    });
-
-    const particles = new THREE.Points(geometry, material);
-    this.scene.add(particles);
-
-    // Store initial positions and create velocities
-    const initialPositions = positions.slice();
-    const velocities = new Float32Array(particleCount * 3);
-
-    // Stronger velocities
-    for (let i = 0; i < particleCount * 3; i++) {
-      velocities[i] = (Math.random() - 0.5) * 0.1; // Increased velocity
+    for (let i = 0; i < PARTICLE_COUNT * 3; i++) {
+      velocities[i] = (Math.random() - 0.5) * 5;
     }
 
-    let startTime = performance.now();
-    const duration = 1000;
-
-    const animate = () => {
-      const currentTime = performance.now();
-      const elapsed = currentTime - startTime;
-      const progress = elapsed / duration;
-
-      if (progress < 1 && particles && particles.geometry) {
-        const currentPositions = particles.geometry.attributes.position.array;
-
-        for (let i = 0; i < particleCount * 3; i++) {
-          currentPositions[i] = initialPositions[i] + velocities[i] * elapsed * 0.05; // Increased movement speed
+    this.animator.tween(
+      HIT_EFFECT_DURATION,
+      (progress, elapsed) => {
+        for (let i = 0; i < PARTICLE_COUNT * 3; i++) {
+          positions[i] = initialPositions[i] + velocities[i] * elapsed;
         }
-
         particles.geometry.attributes.position.needsUpdate = true;
         material.opacity = 1 - progress;
-
-        if (this.renderer.xr.isPresenting) {
-          setTimeout(() => animate(), 16);
-        } else {
-          requestAnimationFrame(animate);
-        }
-      } else if (particles) {
-        if (this.scene) {
-          this.scene.remove(particles);
-        }
-        if (geometry) {
-          geometry.dispose();
-        }
-        if (material) {
-          material.dispose();
-        }
-      }
-    };
-
-    animate();
+      },
+      { onComplete: () => this.releaseObject(particles) },
+    );
   }
 
-  createControlsHelp(font) {
-    const helpText = [
+  // Help lines for this device, naming each hand's saber by the color it cuts
+  getControlsHelp() {
+    const colorName = (side) => (this.getSaberColorId(side) === "red" ? "Red" : "Blue");
+    if (this.isMobile) {
+      return [
+        "Controls:",
+        "",
+        `Drag on the left half: ${colorName("left")} saber`,
+        `Drag on the right half: ${colorName("right")} saber`,
+        "Use one finger per saber",
+      ];
+    }
+
+    return [
       "Controls:",
       "",
-      "Left Saber (Red):",
+      "Click: Swing with the mouse",
+      "Tab: Mouse saber right/left/both",
+      "",
+      `Left Saber (${colorName("left")}):`,
       "W/S: Up/Down",
       "A/D: Left/Right",
       "Q/E: Rotate",
       "",
-      "Right Saber (Blue):",
+      `Right Saber (${colorName("right")}):`,
       "↑/↓: Up/Down",
       "←/→: Left/Right",
       "[/]: Rotate",
       "",
+      "F and /: Quick swing",
       "R: Reset position",
-    ].join("\n");
-
-    const helpGeometry = new TextGeometry(helpText, {
-      font: font,
-      size: 0.08,
-      depth: 0.01,
-      height: 0.01,
-    });
-
-    const helpMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      emissive: 0xffffff,
-      emissiveIntensity: 1,
-      metalness: 0,
-      roughness: 0,
-    });
+      "P/Esc: Pause",
+    ];
+  }
 
-    this.helpText3D = new THREE.Mesh(helpGeometry, helpMaterial);
-    this.helpText3D.position.set(1.5, 2.2, -2);
-    this.scene.add(this.helpText3D);
-
-    // Auto-hide controls after 10 seconds
-    setTimeout(() => {
-      if (this.helpText3D && this.renderer.xr.isPresenting) {
-        const fadeOut = () => {
-          if (this.helpText3D.material.opacity > 0) {
-            this.helpText3D.material.opacity -= 0.01;
-            requestAnimationFrame(fadeOut);
-          } else {
-            this.scene.remove(this.helpText3D);
-            this.helpText3D.geometry.dispose();
-            this.helpText3D.material.dispose();
-            this.helpText3D = null;
-          }
-        };
-        fadeOut();
-      }
-    }, 10000);
+  createControlsHelp() {
+    this.hud.showHelp(this.getControlsHelp());
+    if (this.isMobile) return;
+
+    // Auto-hide controls in VR after a while
+    this.animator.delay(
+      HELP_HIDE_DELAY,
+      () => {
+        const panel = this.hud.helpPanel;
+        if (!panel || !this.renderer.xr.isPresenting) return;
+        this.animator.tween(
+          HELP_FADE_DURATION,
+          (progress) => {
+            panel.mesh.material.opacity = 1 - progress;
+          },
+          {
+            pausable: false,
+            onComplete: () => {
+              if (this.hud.helpPanel === panel) this.hud.removeHelp();
+            },
+          },
+        );
+      },
+      { pausable: false },
+    );
   }
 }
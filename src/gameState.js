@@ -0,0 +1,55 @@
+// Game states and the transitions allowed between them.
+
+export const GameState = {
+  MENU: "menu",
+  SONG_SELECT: "songSelect",
+  PLAYING: "playing",
+  PAUSED: "paused",
+  FAILED: "failed",
+  RESULTS: "results",
+  REPLAY: "replay",
+  EDITOR: "editor",
+};
+
+const TRANSITIONS = {
+  [GameState.MENU]: [GameState.SONG_SELECT, GameState.REPLAY, GameState.EDITOR],
+  [GameState.SONG_SELECT]: [GameState.MENU, GameState.PLAYING],
+  [GameState.PLAYING]: [GameState.PAUSED, GameState.FAILED, GameState.RESULTS],
+  [GameState.PAUSED]: [GameState.PLAYING, GameState.SONG_SELECT, GameState.MENU, GameState.EDITOR],
+  [GameState.FAILED]: [GameState.PLAYING, GameState.SONG_SELECT, GameState.MENU, GameState.REPLAY, GameState.EDITOR],
+  [GameState.RESULTS]: [GameState.PLAYING, GameState.SONG_SELECT, GameState.MENU, GameState.REPLAY, GameState.EDITOR],
+  [GameState.REPLAY]: [GameState.MENU],
+  [GameState.EDITOR]: [GameState.MENU, GameState.PLAYING],
+};
+
+export class GameStateMachine {
+  constructor(initial = GameState.MENU) {
+    this.current = initial;
+    this.listeners = [];
+  }
+
+  is(...states) {
+    return states.includes(this.current);
+  }
+
+  canTransition(to) {
+    return TRANSITIONS[this.current].includes(to);
+  }
+
+  transition(to) {
+    if (!this.canTransition(to)) {
+      throw new Error(`Invalid game state transition: ${this.current} -> ${to}`);
+    }
+    const from = this.current;
+    this.current = to;
+    this.listeners.forEach((listener) => listener(to, from));
+  }
+
+  // Listen for state changes, returns a function that removes the listener
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+}
@@ -0,0 +1,120 @@
+import * as THREE from "three";
+import { MOVEMENT_ACTIONS, applyHeldActions } from "./saberMotion.js";
+
+// Gamepad API input for standard controllers: the left stick steers the left saber and the right
+// stick the right one, bound buttons trigger actions such as swing gestures, pause and menu navigation.
+// Gamepads that report their orientation (GamepadPose) turn the saber of their hand directly.
+
+const STICK_DEADZONE = 0.15;
+const STICKS = { left: [0, 1], right: [2, 3] }; // Axis indices in the standard mapping
+
+// How far a stick pushed all the way moves its saber from the start pose
+const STICK_REACH_X = 1.0;
+const STICK_REACH_Y = 0.8;
+
+// Turns a gamepad pointing forward into a saber pointing forward, like an XR controller
+const POSE_TO_SABER = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+
+const SWING_ACTIONS = { leftSwing: "left", rightSwing: "right" };
+
+export class GamepadControls {
+  constructor(bindings) {
+    this.bindings = bindings;
+    this.sabers = {};
+    this.onAction = null; // Called with bound actions other than movement and swings
+    this.onCapture = null; // Takes the index of the next button pressed instead of its action, for remapping
+    this.previousButtons = new Map(); // Gamepad index -> pressed state of each button
+    this.steering = { left: false, right: false }; // Whether a stick was out of its deadzone last frame
+    this.held = new Set();
+
+    window.addEventListener("gamepaddisconnected", (event) => {
+      this.previousButtons.delete(event.gamepad.index);
+      Object.values(this.sabers).forEach((motion) => {
+        motion.orientation = null;
+      });
+    });
+  }
+
+  // side is "left" or "right", motion the SaberMotion of that saber
+  addSaber(side, motion) {
+    this.sabers[side] = motion;
+  }
+
+  // Poll every connected gamepad, once per frame
+  update(delta) {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const sticks = { left: null, right: null };
+    this.held.clear();
+    for (const gamepad of gamepads) {
+      if (!gamepad || !gamepad.connected) continue;
+      this.pollButtons(gamepad);
+      this.applyPose(gamepad);
+      sticks.left = sticks.left || this.getStick(gamepad, "left");
+      sticks.right = sticks.right || this.getStick(gamepad, "right");
+    }
+    this.steer(sticks);
+    Object.entries(this.sabers).forEach(([side, motion]) => applyHeldActions(motion, side, this.held, delta));
+  }
+
+  getStick(gamepad, side) {
+    const [xAxis, yAxis] = STICKS[side];
+    const x = gamepad.axes[xAxis] || 0;
+    const y = gamepad.axes[yAxis] || 0;
+    if (Math.hypot(x, y) < STICK_DEADZONE) return null;
+    return { x, y: -y };
+  }
+
+  pollButtons(gamepad) {
+    const previous = this.previousButtons.get(gamepad.index) || [];
+    const pressed = gamepad.buttons.map((button) => button.pressed);
+    pressed.forEach((down, index) => {
+      if (down && !previous[index] && this.onCapture) {
+        const capture = this.onCapture;
+        this.onCapture = null;
+        capture(index);
+        return;
+      }
+      const action = down ? this.bindings.getAction(index) : null;
+      if (!action) return;
+      if (MOVEMENT_ACTIONS.has(action)) {
+        this.held.add(action);
+      } else if (!previous[index]) {
+        this.triggerAction(action, gamepad);
+      }
+    });
+    this.previousButtons.set(gamepad.index, pressed);
+  }
+
+  triggerAction(action, gamepad) {
+    // Swings head where the saber's stick points, straight down when it's centered
+    const side = SWING_ACTIONS[action];
+    if (side) {
+      const motion = this.sabers[side];
+      if (motion) motion.swing(this.getStick(gamepad, side) || undefined);
+      return;
+    }
+    if (this.onAction) this.onAction(action);
+  }
+
+  // Stick position maps to saber position; letting go brings the saber back to its start pose
+  steer(sticks) {
+    Object.entries(this.sabers).forEach(([side, motion]) => {
+      const stick = sticks[side];
+      if (stick || this.steering[side]) {
+        const start = motion.startPosition;
+        motion.target.x = start.x + (stick ? stick.x : 0) * STICK_REACH_X;
+        motion.target.y = start.y + (stick ? stick.y : 0) * STICK_REACH_Y;
+      }
+      this.steering[side] = !!stick;
+    });
+  }
+
+  applyPose(gamepad) {
+    const orientation = gamepad.pose && gamepad.pose.orientation;
+    if (!orientation) return;
+    const motion = this.sabers[gamepad.hand === "left" ? "left" : "right"];
+    if (!motion) return;
+    if (!motion.orientation) motion.orientation = new THREE.Quaternion();
+    motion.orientation.fromArray(orientation).multiply(POSE_TO_SABER);
+  }
+}
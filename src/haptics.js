@@ -0,0 +1,64 @@
+// Vibration feedback on XR controllers.
+// Each event has its own pattern of pulses; intensities are scaled by the player's strength setting.
+
+// Pulses as { intensity (0-1), duration (ms), delay (ms after the pattern starts) }
+export const HAPTIC_PATTERNS = {
+  goodCut: [{ intensity: 0.5, duration: 40, delay: 0 }],
+  badCut: [
+    { intensity: 1, duration: 60, delay: 0 },
+    { intensity: 1, duration: 60, delay: 110 },
+  ],
+  bomb: [
+    { intensity: 1, duration: 150, delay: 0 },
+    { intensity: 0.6, duration: 100, delay: 200 },
+    { intensity: 0.3, duration: 100, delay: 350 },
+  ],
+  wall: [{ intensity: 0.25, duration: 50, delay: 0 }],
+};
+
+// Patterns that repeat every frame while something is going on, e.g. the blade inside a wall,
+// are skipped until the previous one has finished
+const CONTINUOUS_PATTERNS = new Set(["wall"]);
+
+function pulse(gamepad, intensity, duration) {
+  const actuator = gamepad.hapticActuators && gamepad.hapticActuators[0];
+  let request = null;
+  if (actuator && actuator.pulse) {
+    request = actuator.pulse(intensity, duration);
+  } else if (gamepad.vibrationActuator) {
+    request = gamepad.vibrationActuator.playEffect("dual-rumble", { duration, strongMagnitude: intensity, weakMagnitude: intensity });
+  }
+  // Actuators reject while the page isn't allowed to vibrate; nothing to do about it
+  if (request && request.catch) request.catch(() => {});
+}
+
+export class Haptics {
+  // animator schedules the later pulses of a pattern
+  constructor(animator, strength = 1) {
+    this.animator = animator;
+    this.strength = strength;
+    this.busyUntil = new WeakMap(); // Gamepad -> time its last continuous pattern ends
+  }
+
+  // Play a pattern on an XR input source; does nothing for sources without a gamepad
+  play(inputSource, name) {
+    const gamepad = inputSource && inputSource.gamepad;
+    if (!gamepad || this.strength <= 0) return;
+
+    const pattern = HAPTIC_PATTERNS[name];
+    const now = performance.now();
+    if (CONTINUOUS_PATTERNS.has(name)) {
+      if (now < (this.busyUntil.get(gamepad) || 0)) return;
+      this.busyUntil.set(gamepad, now + Math.max(...pattern.map((step) => step.delay + step.duration)));
+    }
+
+    pattern.forEach(({ intensity, duration, delay }) => {
+      const play = () => pulse(gamepad, Math.min(1, intensity * this.strength), duration);
+      if (delay > 0) {
+        this.animator.delay(delay / 1000, play, { pausable: false });
+      } else {
+        play();
+      }
+    });
+  }
+}
@@ -0,0 +1,47 @@
+// Player energy: fills on good cuts, drains on mistakes and fails the level when it runs out.
+
+export const INITIAL_HEALTH = 0.5;
+
+export const HEALTH_CHANGES = {
+  goodCut: 0.01,
+  badCut: -0.1,
+  miss: -0.15,
+  bomb: -0.15,
+};
+
+export const WALL_DRAIN_PER_SECOND = 1.3;
+
+export class Health {
+  constructor(initial = INITIAL_HEALTH) {
+    this.initial = initial;
+    this.noFail = false; // Energy can run out without failing
+    this.oneLife = false; // Any loss of energy fails
+    this.onFail = null;
+    this.reset();
+  }
+
+  reset() {
+    this.value = this.initial;
+    this.failed = false;
+  }
+
+  // Apply one of the HEALTH_CHANGES events
+  apply(event) {
+    this.change(HEALTH_CHANGES[event]);
+  }
+
+  // Continuous drain while the head is inside a wall
+  drainWall(delta) {
+    this.change(-WALL_DRAIN_PER_SECOND * delta);
+  }
+
+  change(amount) {
+    if (this.failed) return;
+
+    this.value = this.oneLife && amount < 0 ? 0 : Math.min(1, Math.max(0, this.value + amount));
+    if (this.value === 0 && !this.noFail) {
+      this.failed = true;
+      if (this.onFail) this.onFail();
+    }
+  }
+}
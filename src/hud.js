@@ -0,0 +1,273 @@
+import * as THREE from "three";
+
+// Heads-up display: score, combo, multiplier, health and song progress.
+// Text is drawn on canvas textures that are only redrawn when a value changes;
+// the bars are plain planes that are scaled, so per-frame updates are cheap.
+
+export const HUD_FONT_FAMILY = "Orbitron";
+export const HUD_FONT = `${HUD_FONT_FAMILY}, Arial, sans-serif`;
+
+const PIXELS_PER_METER = 512;
+
+const SCORE_PANEL_WIDTH = 0.9;
+const SCORE_PANEL_HEIGHT = 0.4;
+const BAR_WIDTH = 0.8;
+const BAR_HEIGHT = 0.04;
+
+// Desktop placement, anchored in the world next to the track
+const SCORE_POSITION = new THREE.Vector3(-1.2, 2.0, -2);
+const HELP_POSITION = new THREE.Vector3(1.6, 1.9, -2);
+
+// VR placement, relative to the headset
+const HEAD_DISTANCE = 2;
+const SCORE_HEAD_OFFSET = new THREE.Vector3(-1.0, 0.3, 0);
+const HELP_HEAD_OFFSET = new THREE.Vector3(1.0, 0.3, 0);
+
+// A plane with a canvas texture that is repainted on demand
+class CanvasPanel {
+  constructor(width, height) {
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = Math.round(width * PIXELS_PER_METER);
+    this.canvas.height = Math.round(height * PIXELS_PER_METER);
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, height),
+      new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthWrite: false }),
+    );
+  }
+
+  draw(paint) {
+    const context = this.canvas.getContext("2d");
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    paint(context, this.canvas.width, this.canvas.height);
+    this.texture.needsUpdate = true;
+  }
+
+  dispose() {
+    this.mesh.removeFromParent();
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.texture.dispose();
+  }
+}
+
+// A bar that fills from its left edge by scaling
+function createBar(color) {
+  const group = new THREE.Group();
+  const background = new THREE.Mesh(new THREE.PlaneGeometry(BAR_WIDTH, BAR_HEIGHT), new THREE.MeshBasicMaterial({ color: 0x222222 }));
+  const fillGeometry = new THREE.PlaneGeometry(BAR_WIDTH, BAR_HEIGHT);
+  fillGeometry.translate(BAR_WIDTH / 2, 0, 0.001);
+  const fill = new THREE.Mesh(fillGeometry, new THREE.MeshBasicMaterial({ color }));
+  fill.position.x = -BAR_WIDTH / 2;
+  group.add(background, fill);
+  return { group, fill };
+}
+
+export class Hud {
+  constructor(scene) {
+    this.scene = scene;
+    this.values = { score: 0, combo: 0, multiplier: 1, lastCut: null };
+
+    // Score, combo and multiplier with the health and progress bars below
+    this.scorePanel = new THREE.Group();
+    this.scoreCanvas = new CanvasPanel(SCORE_PANEL_WIDTH, SCORE_PANEL_HEIGHT);
+    this.health = createBar(0x00ff00);
+    this.health.group.position.y = -SCORE_PANEL_HEIGHT / 2 - BAR_HEIGHT;
+    this.progress = createBar(0xffffff);
+    this.progress.group.position.y = -SCORE_PANEL_HEIGHT / 2 - BAR_HEIGHT * 2.5;
+    this.scorePanel.add(this.scoreCanvas.mesh, this.health.group, this.progress.group);
+    this.scorePanel.position.copy(SCORE_POSITION);
+    scene.add(this.scorePanel);
+
+    this.helpPanel = null;
+    this.helpLines = null;
+    this.statsPanel = null;
+    this.statsLines = null;
+    this.opponentsPanel = null;
+    this.opponentsLines = null;
+
+    this.setHealth(1);
+    this.setProgress(0);
+    this.drawScore();
+
+    // Redraw once the bundled font is available so text doesn't stay in the fallback font
+    if (document.fonts) {
+      document.fonts.load(`bold 32px ${HUD_FONT_FAMILY}`).then(() => {
+        this.drawScore();
+        if (this.helpPanel) this.drawHelp();
+      });
+    }
+  }
+
+  setScore({ score, combo, multiplier }, lastCut = null) {
+    const values = this.values;
+    if (values.score === score && values.combo === combo && values.multiplier === multiplier && values.lastCut === lastCut) return;
+    this.values = { score, combo, multiplier, lastCut };
+    this.drawScore();
+  }
+
+  drawScore() {
+    const { score, combo, multiplier, lastCut } = this.values;
+    this.scoreCanvas.draw((context, width, height) => {
+      context.fillStyle = "rgba(0, 0, 0, 0.5)";
+      context.beginPath();
+      context.roundRect(0, 0, width, height, height * 0.1);
+      context.fill();
+
+      context.fillStyle = "#ffffff";
+      context.textBaseline = "middle";
+      context.textAlign = "left";
+      context.font = `bold ${height * 0.22}px ${HUD_FONT}`;
+      context.fillText(String(score), width * 0.05, height * 0.25);
+      context.font = `${height * 0.14}px ${HUD_FONT}`;
+      context.fillText(`Combo ${combo}`, width * 0.05, height * 0.55);
+      if (lastCut) {
+        context.fillStyle = "#aaaaaa";
+        context.fillText(`+${lastCut.score}  (${lastCut.preSwing}/${lastCut.postSwing}/${lastCut.accuracy})`, width * 0.05, height * 0.8);
+      }
+
+      context.fillStyle = multiplier >= 8 ? "#ffdd00" : "#ffffff";
+      context.textAlign = "right";
+      context.font = `bold ${height * 0.3}px ${HUD_FONT}`;
+      context.fillText(`x${multiplier}`, width * 0.95, height * 0.35);
+    });
+  }
+
+  setHealth(value) {
+    const fill = this.health.fill;
+    fill.scale.x = Math.max(value, 0.001);
+    fill.material.color.setRGB(1 - value, value, 0);
+  }
+
+  setProgress(fraction) {
+    this.progress.fill.scale.x = Math.min(1, Math.max(fraction, 0.001));
+  }
+
+  showHelp(lines) {
+    this.removeHelp();
+    this.helpLines = lines;
+    this.helpPanel = new CanvasPanel(0.9, 0.08 * lines.length + 0.1);
+    this.helpPanel.mesh.position.copy(HELP_POSITION);
+    this.scene.add(this.helpPanel.mesh);
+    this.drawHelp();
+  }
+
+  drawHelp() {
+    const lines = this.helpLines;
+    this.helpPanel.draw((context, width, height) => {
+      context.fillStyle = "rgba(0, 0, 0, 0.7)";
+      context.beginPath();
+      context.roundRect(0, 0, width, height, 24);
+      context.fill();
+
+      const lineHeight = (height - 0.1 * PIXELS_PER_METER) / lines.length;
+      context.fillStyle = "#ffffff";
+      context.textBaseline = "middle";
+      context.textAlign = "left";
+      context.font = `${lineHeight * 0.6}px ${HUD_FONT}`;
+      lines.forEach((line, index) => {
+        context.fillText(line, width * 0.06, 0.05 * PIXELS_PER_METER + lineHeight * (index + 0.5));
+      });
+    });
+  }
+
+  removeHelp() {
+    if (!this.helpPanel) return;
+    this.helpPanel.dispose();
+    this.helpPanel = null;
+  }
+
+  // Debug readout below the bars; only redrawn when a line changes
+  setStats(lines) {
+    if (this.statsLines && this.statsLines.join("\n") === lines.join("\n")) return;
+    if (!this.statsPanel || this.statsLines.length !== lines.length) {
+      this.removeStats();
+      const height = 0.05 * lines.length + 0.04;
+      this.statsPanel = new CanvasPanel(SCORE_PANEL_WIDTH, height);
+      this.statsPanel.mesh.position.y = -SCORE_PANEL_HEIGHT / 2 - BAR_HEIGHT * 4 - height / 2;
+      this.scorePanel.add(this.statsPanel.mesh);
+    }
+    this.statsLines = lines;
+    this.statsPanel.draw((context, width, height) => {
+      context.fillStyle = "rgba(0, 0, 0, 0.7)";
+      context.fillRect(0, 0, width, height);
+
+      const lineHeight = (height - 0.04 * PIXELS_PER_METER) / lines.length;
+      context.fillStyle = "#00ff88";
+      context.textBaseline = "middle";
+      context.textAlign = "left";
+      context.font = `${lineHeight * 0.7}px monospace`;
+      lines.forEach((line, index) => {
+        context.fillText(line, width * 0.03, 0.02 * PIXELS_PER_METER + lineHeight * (index + 0.5));
+      });
+    });
+  }
+
+  removeStats() {
+    if (!this.statsPanel) return;
+    this.statsPanel.dispose();
+    this.statsPanel = null;
+    this.statsLines = null;
+  }
+
+  // Scores of the other players in a multiplayer run, above the score; only redrawn when a line changes
+  setOpponents(lines) {
+    if (this.opponentsLines && this.opponentsLines.join("\n") === lines.join("\n")) return;
+    if (!this.opponentsPanel || this.opponentsLines.length !== lines.length) {
+      this.removeOpponents();
+      const height = 0.07 * lines.length + 0.04;
+      this.opponentsPanel = new CanvasPanel(SCORE_PANEL_WIDTH, height);
+      this.opponentsPanel.mesh.position.y = SCORE_PANEL_HEIGHT / 2 + 0.02 + height / 2;
+      this.scorePanel.add(this.opponentsPanel.mesh);
+    }
+    this.opponentsLines = lines;
+    this.opponentsPanel.draw((context, width, height) => {
+      context.fillStyle = "rgba(0, 0, 0, 0.5)";
+      context.beginPath();
+      context.roundRect(0, 0, width, height, 16);
+      context.fill();
+
+      const lineHeight = (height - 0.04 * PIXELS_PER_METER) / lines.length;
+      context.fillStyle = "#ffaa44";
+      context.textBaseline = "middle";
+      context.textAlign = "left";
+      context.font = `${lineHeight * 0.6}px ${HUD_FONT}`;
+      lines.forEach((line, index) => {
+        context.fillText(line, width * 0.05, 0.02 * PIXELS_PER_METER + lineHeight * (index + 0.5));
+      });
+    });
+  }
+
+  removeOpponents() {
+    if (!this.opponentsPanel) return;
+    this.opponentsPanel.dispose();
+    this.opponentsPanel = null;
+    this.opponentsLines = null;
+  }
+
+  // Head-locked in VR, anchored in the world and turned towards the camera on desktop
+  updatePlacement(renderer, camera) {
+    const helpMesh = this.helpPanel ? this.helpPanel.mesh : null;
+
+    if (renderer.xr.isPresenting) {
+      const xrCamera = renderer.xr.getCamera();
+      const cameraPosition = xrCamera.getWorldPosition(new THREE.Vector3());
+      const inFront = xrCamera.getWorldDirection(new THREE.Vector3()).multiplyScalar(HEAD_DISTANCE).add(cameraPosition);
+
+      this.scorePanel.position.copy(inFront).add(SCORE_HEAD_OFFSET);
+      this.scorePanel.quaternion.copy(xrCamera.quaternion);
+      if (helpMesh) {
+        helpMesh.position.copy(inFront).add(HELP_HEAD_OFFSET);
+        helpMesh.quaternion.copy(xrCamera.quaternion);
+      }
+    } else {
+      this.scorePanel.position.copy(SCORE_POSITION);
+      this.scorePanel.lookAt(camera.position);
+      if (helpMesh) {
+        helpMesh.position.copy(HELP_POSITION);
+        helpMesh.lookAt(camera.position);
+      }
+    }
+  }
+}
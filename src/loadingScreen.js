@@ -0,0 +1,28 @@
+// Full-page overlay with a progress bar, shown until the bundled assets are loaded
+
+export class LoadingScreen {
+  constructor(parent = document.body) {
+    this.element = document.createElement("div");
+    this.element.id = "loading-screen";
+    this.element.innerHTML = `
+      <div class="loading-title">Beat Saber Clone</div>
+      <div class="loading-bar"><div class="loading-fill"></div></div>
+      <div class="loading-text">Loading...</div>
+    `;
+    this.fill = this.element.querySelector(".loading-fill");
+    this.text = this.element.querySelector(".loading-text");
+    parent.appendChild(this.element);
+  }
+
+  setProgress(loaded, total) {
+    const fraction = total > 0 ? loaded / total : 1;
+    this.fill.style.width = `${Math.round(fraction * 100)}%`;
+    this.text.textContent = `Loading... ${loaded}/${total}`;
+  }
+
+  // Fade out, then leave the page
+  hide() {
+    this.element.classList.add("hidden");
+    this.element.addEventListener("transitionend", () => this.element.remove(), { once: true });
+  }
+}
@@ -1,3 +1,5 @@
+import "@fontsource/orbitron/400.css";
+import "@fontsource/orbitron/700.css";
 import "./style.css";
 import { BeatSaberGame } from "./game";
 
@@ -7,3 +9,8 @@ document.querySelector("#app").innerHTML = `
 `;
 
 const game = new BeatSaberGame();
+
+// Cache the game for offline play; skipped in development so the dev server's modules aren't cached
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => console.error("Service worker registration failed:", error));
+}
@@ -0,0 +1,318 @@
+import { LAYER_COUNT } from "./beatmap.js";
+
+// Automatic beatmaps for songs nobody has mapped.
+//
+// analyzeSong() finds note onsets in a decoded song through spectral flux (how much louder each
+// frequency got since the last frame), estimates the tempo from the flux envelope's
+// autocorrelation and fine-tunes tempo and first beat so the onsets line up with the beat grid.
+// generateBeatmap() then picks the strongest onsets on that grid for a difficulty and lays them
+// out in the native beatmap format, alternating hands and cut directions so the swings flow.
+//
+// Both only do arithmetic on sample data; any object with sampleRate, numberOfChannels, length and
+// getChannelData() works, so maps can be made in the browser from an AudioBuffer or in Node from
+// decoded samples. The same song, difficulty and seed always give the same map.
+
+export const GENERATOR_DIFFICULTIES = {
+  // subdivision: grid steps per beat; notesPerSecond: target density; minGap: seconds between
+  // notes; doubles: chance that a strong onset gets a note for each hand
+  Easy: { subdivision: 1, notesPerSecond: 0.9, minGap: 0.6, doubles: 0, diagonals: 0, noteJumpSpeed: 10 },
+  Normal: { subdivision: 2, notesPerSecond: 1.5, minGap: 0.4, doubles: 0.05, diagonals: 0.15, noteJumpSpeed: 10 },
+  Hard: { subdivision: 2, notesPerSecond: 2.3, minGap: 0.25, doubles: 0.1, diagonals: 0.25, noteJumpSpeed: 12 },
+  Expert: { subdivision: 4, notesPerSecond: 3.3, minGap: 0.16, doubles: 0.15, diagonals: 0.3, noteJumpSpeed: 16 },
+};
+
+export const DEFAULT_GENERATOR_SEED = 1;
+
+const ANALYSIS_RATE = 22050; // Songs are mixed down to mono near this rate before analysis
+const FFT_SIZE = 1024;
+const HOP_SIZE = 512;
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const PREFERRED_BPM = 120; // Centre of the tempo prior that settles double/half tempo doubts
+const TEMPO_SMOOTHING = [1 / 9, 2 / 9, 3 / 9, 2 / 9, 1 / 9]; // Weights of the flux around each hop
+const ONSET_WINDOW = 0.1; // seconds around a frame that its threshold averages over
+const ONSET_MIN_INTERVAL = 0.05; // seconds
+const ONSET_DELTA = 0.02; // Added to the threshold, so near-silent wobbles don't count
+const LEAD_IN = 2; // seconds at the start of the song left empty
+const LAYER_WEIGHTS = [0.65, 0.25, 0.1]; // Chance of each layer, bottom to top
+
+// Small seeded generator (mulberry32), returns numbers in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Average the channels and drop samples down to roughly ANALYSIS_RATE
+function mixToMono(buffer) {
+  const step = Math.max(1, Math.floor(buffer.sampleRate / ANALYSIS_RATE));
+  const length = Math.floor(buffer.length / step);
+  const samples = new Float32Array(length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let j = 0; j < step; j++) sum += data[i * step + j];
+      samples[i] += sum / step / buffer.numberOfChannels;
+    }
+  }
+  return { samples, sampleRate: buffer.sampleRate / step };
+}
+
+// In-place iterative radix-2 FFT of real and imaginary parts
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+// Onset strength per hop: the summed rise of log-compressed magnitudes since the previous frame
+function spectralFlux(samples) {
+  const frames = Math.max(0, Math.floor((samples.length - FFT_SIZE) / HOP_SIZE) + 1);
+  const flux = new Float32Array(frames);
+  const window = new Float64Array(FFT_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE));
+  const real = new Float64Array(FFT_SIZE);
+  const imag = new Float64Array(FFT_SIZE);
+  let previous = new Float64Array(FFT_SIZE / 2);
+  let current = new Float64Array(FFT_SIZE / 2);
+  let max = 0;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * HOP_SIZE;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      real[i] = samples[start + i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    let sum = 0;
+    for (let k = 0; k < FFT_SIZE / 2; k++) {
+      current[k] = Math.log1p(100 * Math.hypot(real[k], imag[k]));
+      if (frame > 0 && current[k] > previous[k]) sum += current[k] - previous[k];
+    }
+    flux[frame] = sum;
+    max = Math.max(max, sum);
+    [previous, current] = [current, previous];
+  }
+  if (max > 0) flux.forEach((value, i) => (flux[i] = value / max));
+  return flux;
+}
+
+// Local maxima of the flux above a moving average, as { time, strength }. A frame's time is
+// the middle of its window, where a sound starting in it is heard.
+function pickOnsets(flux, sampleRate) {
+  const frameRate = sampleRate / HOP_SIZE;
+  const radius = Math.max(1, Math.round(ONSET_WINDOW * frameRate));
+  const onsets = [];
+  let lastTime = -Infinity;
+  let sum = 0; // Of flux[low..high], the frames around the current one
+  let low = 0;
+  let high = -1;
+  for (let i = 0; i < flux.length; i++) {
+    while (high < Math.min(flux.length - 1, i + radius)) sum += flux[++high];
+    while (low < i - radius) sum -= flux[low++];
+    const threshold = sum / (high - low + 1) + ONSET_DELTA;
+
+    const value = flux[i];
+    if (value <= threshold || value < (flux[i - 1] ?? 0) || value < (flux[i + 1] ?? 0)) continue;
+    const time = (i * HOP_SIZE + FFT_SIZE / 2) / sampleRate;
+    if (time - lastTime < ONSET_MIN_INTERVAL) continue;
+    onsets.push({ time, strength: value });
+    lastTime = time;
+  }
+  return onsets;
+}
+
+// Rough tempo from the autocorrelation of the flux, weighted towards PREFERRED_BPM.
+// Onsets fall on whole hops, so a beat period that isn't a whole number of hops would split its
+// autocorrelation peak between two lags; smoothing the flux first keeps the peak in one piece.
+function estimateTempo(flux, frameRate) {
+  const reach = (TEMPO_SMOOTHING.length - 1) / 2;
+  const smoothed = flux.map((_, i) => TEMPO_SMOOTHING.reduce((sum, weight, k) => sum + weight * (flux[i + k - reach] ?? 0), 0));
+  const mean = smoothed.reduce((sum, value) => sum + value, 0) / (smoothed.length || 1);
+  const centered = smoothed.map((value) => value - mean);
+  let best = { bpm: PREFERRED_BPM, score: -Infinity };
+  const minLag = Math.floor((60 * frameRate) / MAX_BPM);
+  const maxLag = Math.ceil((60 * frameRate) / MIN_BPM);
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < centered.length; i++) sum += centered[i] * centered[i + lag];
+    scores[lag] = sum / Math.max(1, centered.length - lag);
+  }
+  for (let lag = minLag + 1; lag < maxLag; lag++) {
+    // Parabolic interpolation between neighbouring lags
+    const [a, b, c] = [scores[lag - 1], scores[lag], scores[lag + 1]];
+    if (b < a || b < c) continue;
+    const shift = a - 2 * b + c === 0 ? 0 : (0.5 * (a - c)) / (a - 2 * b + c);
+    const bpm = (60 * frameRate) / (lag + shift);
+    const prior = Math.exp(-0.5 * Math.log2(bpm / PREFERRED_BPM) ** 2);
+    if (b * prior > best.score) best = { bpm, score: b * prior };
+  }
+  return best.bpm;
+}
+
+// How well onsets line up with beats of a tempo, and where the beats fall: the strength-weighted
+// mean of each onset's position within its beat, taken as an angle
+function beatAlignment(onsets, bpm) {
+  const period = 60 / bpm;
+  let x = 0;
+  let y = 0;
+  onsets.forEach(({ time, strength }) => {
+    const angle = (2 * Math.PI * time) / period;
+    x += strength * Math.cos(angle);
+    y += strength * Math.sin(angle);
+  });
+  const phase = (Math.atan2(y, x) / (2 * Math.PI) + 1) % 1;
+  return { score: Math.hypot(x, y), offset: phase * period };
+}
+
+// Fine-tune the rough tempo so the onsets stay on the beat across the whole song
+function refineTempo(onsets, roughBpm) {
+  let best = { bpm: roughBpm, ...beatAlignment(onsets, roughBpm) };
+  for (let bpm = roughBpm * 0.97; bpm <= roughBpm * 1.03; bpm += 0.01) {
+    const alignment = beatAlignment(onsets, bpm);
+    if (alignment.score > best.score) best = { bpm, ...alignment };
+  }
+  // Songs are usually made at a whole BPM, so prefer it when it fits about as well
+  const whole = Math.round(best.bpm);
+  const wholeAlignment = beatAlignment(onsets, whole);
+  if (wholeAlignment.score >= best.score * 0.98) best = { bpm: whole, ...wholeAlignment };
+  return best;
+}
+
+// Tempo, first beat and onsets of a decoded song: { duration, bpm, offset, onsets: [{ time, strength }] }
+export function analyzeSong(buffer) {
+  const { samples, sampleRate } = mixToMono(buffer);
+  const frameRate = sampleRate / HOP_SIZE;
+  const flux = spectralFlux(samples);
+  const onsets = pickOnsets(flux, sampleRate);
+  const { bpm, offset } = refineTempo(onsets, estimateTempo(flux, frameRate));
+  return {
+    duration: buffer.length / buffer.sampleRate,
+    bpm: Math.round(bpm * 1000) / 1000,
+    offset: Math.round(offset * 10000) / 10000,
+    onsets,
+  };
+}
+
+function pickWeighted(weights, random) {
+  let value = random();
+  for (let i = 0; i < weights.length; i++) {
+    value -= weights[i];
+    if (value < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+const SWING_DIAGONALS = {
+  red: { down: "downLeft", up: "upLeft" },
+  blue: { down: "downRight", up: "upRight" },
+};
+
+// A beatmap in the native format from analyzeSong()'s result.
+// options: { difficulty, seed, title, song } with difficulty one of GENERATOR_DIFFICULTIES
+export function generateBeatmap(analysis, { difficulty = "Normal", seed = DEFAULT_GENERATOR_SEED, title = "Generated", song = null } = {}) {
+  const settings = GENERATOR_DIFFICULTIES[difficulty];
+  if (!settings) {
+    throw new Error(`Unknown difficulty: ${difficulty}`);
+  }
+  const random = createRandom(seed);
+  const { bpm, offset } = analysis;
+  const step = 1 / settings.subdivision;
+  const toBeats = (seconds) => Math.round(((seconds - offset) * bpm) / 60 / step) * step;
+  const toSeconds = (beats) => offset + (beats * 60) / bpm;
+
+  // Onsets snapped to the grid, keeping the strongest one on each step
+  const steps = new Map();
+  analysis.onsets.forEach(({ time, strength }) => {
+    const beat = toBeats(time);
+    if (beat < 0 || toSeconds(beat) < LEAD_IN || toSeconds(beat) > analysis.duration) return;
+    if (!steps.has(beat) || steps.get(beat) < strength) steps.set(beat, strength);
+  });
+
+  // The strongest steps, at most as many as the density allows and never closer than minGap
+  const target = Math.round(settings.notesPerSecond * analysis.duration);
+  const candidates = [...steps].map(([beat, strength]) => ({ beat, seconds: toSeconds(beat), strength }));
+  candidates.sort((a, b) => b.strength - a.strength || a.beat - b.beat);
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= target) break;
+    if (chosen.some((other) => Math.abs(other.seconds - candidate.seconds) < settings.minGap)) continue;
+    chosen.push(candidate);
+  }
+  chosen.sort((a, b) => a.beat - b.beat);
+  const strongest = chosen.length > 0 ? Math.max(...chosen.map((note) => note.strength)) : 1;
+
+  // Hands mostly alternate; each hand swings down, then up, then down again
+  const hands = {
+    red: { direction: "up", lastSeconds: -Infinity, lanes: [0, 1] },
+    blue: { direction: "up", lastSeconds: -Infinity, lanes: [3, 2] },
+  };
+  const notes = [];
+  const addNote = (color, { beat, seconds }) => {
+    const hand = hands[color];
+    hand.direction = hand.direction === "down" ? "up" : "down";
+    hand.lastSeconds = seconds;
+    const direction = random() < settings.diagonals ? SWING_DIAGONALS[color][hand.direction] : hand.direction;
+    const lane = hand.lanes[random() < 0.6 ? 0 : 1];
+    const layer = Math.min(LAYER_COUNT - 1, pickWeighted(LAYER_WEIGHTS, random));
+    notes.push({ time: beat, lane, layer, color, direction });
+  };
+
+  let color = random() < 0.5 ? "red" : "blue";
+  chosen.forEach((note, index) => {
+    const gap = index > 0 ? note.seconds - chosen[index - 1].seconds : Infinity;
+    // After a pause either hand may start again; in a run they take turns
+    color = gap >= settings.minGap * 4 ? (random() < 0.5 ? "red" : "blue") : color === "red" ? "blue" : "red";
+    const other = color === "red" ? "blue" : "red";
+    addNote(color, note);
+    const rested = note.seconds - hands[other].lastSeconds >= settings.minGap * 2;
+    if (rested && note.strength >= strongest * 0.8 && random() < settings.doubles) addNote(other, note);
+  });
+
+  return {
+    title,
+    difficulty,
+    ...(song ? { song } : {}),
+    bpm: analysis.bpm,
+    offset: analysis.offset,
+    noteJumpSpeed: settings.noteJumpSpeed,
+    notes,
+    bombs: [],
+    obstacles: [],
+  };
+}
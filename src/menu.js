@@ -0,0 +1,207 @@
+import * as THREE from "three";
+import { HUD_FONT } from "./hud.js";
+
+// In-world menus: canvas-textured panels that can be pointed at with a VR controller ray or the mouse.
+
+const PANEL_WIDTH = 1.2;
+const ROW_HEIGHT = 0.12;
+const ROW_GAP = 0.03;
+const PIXELS_PER_METER = 512;
+
+const BUTTON_COLORS = {
+  idle: "rgba(30, 30, 60, 0.9)",
+  hover: "rgba(60, 90, 200, 0.95)",
+};
+
+// A plane showing a single line of text drawn on a canvas
+function createTextPlane(text, { width = PANEL_WIDTH, height = ROW_HEIGHT, fontSize = 0.6, color = "#ffffff", background = null } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * PIXELS_PER_METER);
+  canvas.height = Math.round(height * PIXELS_PER_METER);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const fontSpec = `bold ${Math.round(canvas.height * fontSize)}px ${HUD_FONT}`;
+  let currentFill = background;
+  const draw = (fill) => {
+    currentFill = fill;
+    const context = canvas.getContext("2d");
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (fill) {
+      context.fillStyle = fill;
+      context.beginPath();
+      context.roundRect(0, 0, canvas.width, canvas.height, canvas.height * 0.25);
+      context.fill();
+    }
+    context.fillStyle = color;
+    context.font = fontSpec;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    texture.needsUpdate = true;
+  };
+  draw(background);
+
+  // Redraw once the bundled font has loaded
+  if (document.fonts && !document.fonts.check(fontSpec)) {
+    document.fonts.load(fontSpec).then(() => draw(currentFill));
+  }
+
+  const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+  mesh.userData.draw = draw;
+  return mesh;
+}
+
+export class MenuPanel {
+  // buttons: [{ label, onSelect }]
+  constructor({ title, lines = [], buttons = [] }) {
+    this.group = new THREE.Group();
+    this.buttons = [];
+    this.hovered = null;
+
+    const rows = [];
+    rows.push(createTextPlane(title, { height: ROW_HEIGHT * 1.4, fontSize: 0.7 }));
+    lines.forEach((line) => rows.push(createTextPlane(line, { fontSize: 0.5 })));
+    buttons.forEach(({ label, onSelect }) => {
+      const button = createTextPlane(label, { width: PANEL_WIDTH * 0.8, background: BUTTON_COLORS.idle });
+      button.userData.onSelect = onSelect;
+      this.buttons.push(button);
+      rows.push(button);
+    });
+
+    // Stack rows from the top, centered around the group origin
+    const heights = rows.map((row) => row.geometry.parameters.height);
+    const totalHeight = heights.reduce((sum, height) => sum + height, 0) + ROW_GAP * (rows.length - 1);
+    let y = totalHeight / 2;
+    rows.forEach((row, index) => {
+      row.position.y = y - heights[index] / 2;
+      y -= heights[index] + ROW_GAP;
+      this.group.add(row);
+    });
+
+    // Backdrop behind the rows
+    const backdrop = new THREE.Mesh(
+      new THREE.PlaneGeometry(PANEL_WIDTH + 0.1, totalHeight + 0.1),
+      new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6, depthWrite: false }),
+    );
+    backdrop.position.z = -0.01;
+    this.group.add(backdrop);
+  }
+
+  setHovered(button) {
+    if (this.hovered === button) return;
+    if (this.hovered) this.hovered.userData.draw(BUTTON_COLORS.idle);
+    this.hovered = button;
+    if (button) button.userData.draw(BUTTON_COLORS.hover);
+  }
+
+  // Step the highlight through the buttons, for gamepad and keyboard navigation
+  moveHover(step) {
+    const count = this.buttons.length;
+    if (count === 0) return;
+    const index = this.buttons.indexOf(this.hovered);
+    const next = index === -1 ? (step > 0 ? 0 : count - 1) : (index + step + count) % count;
+    this.setHovered(this.buttons[next]);
+  }
+
+  select(button) {
+    if (button && button.userData.onSelect) button.userData.onSelect();
+  }
+
+  dispose() {
+    this.group.removeFromParent();
+    this.group.traverse((object) => {
+      if (object.material) {
+        object.material.map?.dispose();
+        object.material.dispose();
+      }
+      object.geometry?.dispose();
+    });
+  }
+}
+
+// Points at menu buttons with the mouse on desktop and with controller rays in VR
+export class MenuPointer {
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = null;
+    this.mouseMoved = false;
+    this.controllers = [];
+    this.panel = null;
+
+    const trackPointer = (event) => {
+      this.mouse = new THREE.Vector2((event.clientX / window.innerWidth) * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+      this.mouseMoved = true;
+    };
+    const selectAtPointer = () => {
+      if (!this.panel || !this.mouse) return;
+      this.raycaster.setFromCamera(this.mouse, this.camera);
+      this.panel.select(this.pick());
+    };
+    domElement.addEventListener("pointermove", trackPointer);
+    domElement.addEventListener("pointerdown", trackPointer);
+    domElement.addEventListener("click", selectAtPointer);
+    // The touch controls cancel touches to stop scrolling, which also stops clicks, so taps select on release
+    domElement.addEventListener("pointerup", (event) => {
+      if (event.pointerType === "touch") selectAtPointer();
+    });
+  }
+
+  // Give a VR controller a pointer ray and let its trigger select buttons
+  addController(controller) {
+    const ray = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -3)]),
+      new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 }),
+    );
+    ray.visible = false;
+    controller.add(ray);
+    controller.userData.menuRay = ray;
+    controller.addEventListener("select", () => {
+      if (!this.panel) return;
+      this.setRayFromController(controller);
+      this.panel.select(this.pick());
+    });
+    this.controllers.push(controller);
+  }
+
+  setPanel(panel) {
+    this.panel = panel;
+    this.mouseMoved = true;
+    this.controllers.forEach((controller) => {
+      controller.userData.menuRay.visible = !!panel;
+    });
+  }
+
+  setRayFromController(controller) {
+    const matrix = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+    this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+    this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(matrix);
+  }
+
+  pick() {
+    const hit = this.raycaster.intersectObjects(this.panel.buttons, false)[0];
+    return hit ? hit.object : null;
+  }
+
+  // Update hover highlighting once per frame. The mouse only changes it when it moved,
+  // so a highlight picked with a gamepad or the keyboard stays put.
+  update(isPresenting) {
+    if (!this.panel) return;
+
+    if (isPresenting) {
+      let hovered = null;
+      for (const controller of this.controllers) {
+        this.setRayFromController(controller);
+        hovered = this.pick();
+        if (hovered) break;
+      }
+      this.panel.setHovered(hovered);
+    } else if (this.mouse && this.mouseMoved) {
+      this.mouseMoved = false;
+      this.raycaster.setFromCamera(this.mouse, this.camera);
+      this.panel.setHovered(this.pick());
+    }
+  }
+}
@@ -0,0 +1,48 @@
+// Gameplay modifiers picked before a run. Each adds to or takes from the score multiplier, and
+// some can't be on together: turning one on turns off the other of its pair.
+
+export const MODIFIERS = {
+  noFail: { label: "No Fail", multiplier: -0.5 },
+  oneLife: { label: "One Life", multiplier: 0 }, // Any miss, bad cut, bomb or wall fails the level
+  noBombs: { label: "No Bombs", multiplier: -0.1 },
+  fasterSong: { label: "Faster Song", multiplier: 0.08, songSpeed: 1.2 },
+  slowerSong: { label: "Slower Song", multiplier: -0.3, songSpeed: 0.85 },
+  ghostNotes: { label: "Ghost Notes", multiplier: 0.11 }, // Only the arrows show, and only until halfway
+  disappearingArrows: { label: "Disappearing Arrows", multiplier: 0.07 }, // Arrows vanish halfway
+  smallNotes: { label: "Small Notes", multiplier: 0 },
+};
+
+const EXCLUSIVE_PAIRS = [
+  ["noFail", "oneLife"],
+  ["fasterSong", "slowerSong"],
+  ["ghostNotes", "disappearingArrows"],
+];
+
+// Known modifier IDs from saved data, in a stable order
+export function normalizeModifiers(ids) {
+  return Object.keys(MODIFIERS).filter((id) => ids.includes(id));
+}
+
+// Turn a modifier on or off, returning the new list
+export function toggleModifier(ids, id) {
+  if (ids.includes(id)) return ids.filter((other) => other !== id);
+  const excluded = EXCLUSIVE_PAIRS.filter((pair) => pair.includes(id)).flat();
+  return normalizeModifiers([...ids.filter((other) => !excluded.includes(other)), id]);
+}
+
+export function getModifierMultiplier(ids) {
+  return Math.max(
+    0,
+    ids.reduce((total, id) => total + MODIFIERS[id].multiplier, 1),
+  );
+}
+
+export function getSongSpeed(ids) {
+  return ids.reduce((speed, id) => MODIFIERS[id].songSpeed ?? speed, 1);
+}
+
+// e.g. "+8%" or "-50%", for menus
+export function formatMultiplier(multiplier) {
+  const percent = Math.round(multiplier * 100);
+  return `${percent >= 0 ? "+" : ""}${percent}%`;
+}
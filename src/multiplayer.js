@@ -0,0 +1,168 @@
+import { FRAME_SIZE, Replay } from "./replay.js";
+
+// Multiplayer and spectating over the relay in server/relay.js. Clients in a room send JSON
+// messages through it; the game sends these, each with the sender's id added as `from`:
+//   { type: "invite", run }  a player picked a song for everyone; it starts at run.startAt
+//   { type: "start", run }   a run started, for spectators; sent again when someone joins
+//   { type: "state", time, frame, events, paused }  MULTIPLAYER_SEND_RATE times a second
+//   { type: "finish", results }  the run was finished or failed
+//   { type: "stop" }         the run was left without results
+// run is { beatmapUrl, title, difficulty, generated, settings, songSpeed, startAt }, like a replay
+// header. Times called `time` or `startAt` are on the relay's clock, which every client estimates
+// through ping/pong, so a song starts at the same moment everywhere and remote sabers can be
+// interpolated smoothly. Frames are replay frames (see replay.js), with NaN sent as null.
+
+export const MULTIPLAYER_SEND_RATE = 20; // state messages per second
+export const INTERPOLATION_DELAY = 0.15; // seconds remote sabers are shown behind, so there are always two frames to blend
+export const DEFAULT_ROOM = "lobby";
+
+const CLOCK_SYNC_INTERVAL = 2; // seconds between pings
+const CLOCK_SAMPLES = 10; // the fastest round trip of the last few gives the clock offset
+const STREAM_LENGTH = 10; // seconds of remote frames kept
+
+const localTime = () => performance.now() / 1000;
+
+// Room and relay from the page url: ?room=name picks the room and ?relay=ws://host:port another
+// relay. By default the relay is reached through the dev server's /relay proxy, which also works
+// over https, e.g. from a headset on the local network.
+export function getRelaySettings(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  const room = params.get("room") || DEFAULT_ROOM;
+  const relay = params.get("relay") || `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/relay`;
+  return { room, url: `${relay.replace(/\/$/, "")}/${encodeURIComponent(room)}` };
+}
+
+export class RelayConnection {
+  // role: "player" or "spectator"
+  constructor(url, role) {
+    this.url = url;
+    this.role = role;
+    this.id = null; // Given by the relay
+    this.peers = []; // { id, role, name } of everyone else in the room
+    this.clockOffset = 0; // Relay clock minus local clock, seconds
+    this.clockSamples = [];
+    this.socket = null;
+    this.syncTimer = null;
+    this.onMessage = null; // Called with each message from a peer
+    this.onPeersChange = null; // Called with the new peers when someone joins or leaves
+    this.onClose = null; // Called when an open connection is lost
+  }
+
+  // Resolves once the relay accepted the connection
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+      socket.onopen = () => {
+        this.send({ type: "hello", role: this.role });
+        this.syncClock();
+        this.syncTimer = setInterval(() => this.syncClock(), CLOCK_SYNC_INTERVAL * 1000);
+        resolve();
+      };
+      socket.onerror = () => reject(new Error(`Could not connect to the relay at ${this.url}`));
+      socket.onclose = () => {
+        const wasOpen = this.syncTimer !== null;
+        this.stopSync();
+        this.socket = null;
+        if (wasOpen && this.onClose) this.onClose();
+      };
+      socket.onmessage = (event) => {
+        try {
+          this.receive(JSON.parse(event.data));
+        } catch (error) {
+          console.error("Bad message from the relay:", error);
+        }
+      };
+    });
+  }
+
+  get connected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  // Estimated time on the relay's clock, in seconds
+  get now() {
+    return localTime() + this.clockOffset;
+  }
+
+  // Other players in the room, without spectators
+  get players() {
+    return this.peers.filter((peer) => peer.role === "player");
+  }
+
+  send(message) {
+    if (this.connected) this.socket.send(JSON.stringify(message));
+  }
+
+  syncClock() {
+    this.send({ type: "ping", sent: localTime() });
+  }
+
+  receive(message) {
+    switch (message.type) {
+      case "pong": {
+        const received = localTime();
+        this.clockSamples.push({ roundTrip: received - message.sent, offset: message.serverTime - (message.sent + received) / 2 });
+        if (this.clockSamples.length > CLOCK_SAMPLES) this.clockSamples.shift();
+        this.clockOffset = this.clockSamples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset;
+        break;
+      }
+      case "peers":
+        this.id = message.you;
+        this.peers = message.peers;
+        if (this.onPeersChange) this.onPeersChange(this.peers);
+        break;
+      default:
+        if (this.onMessage) this.onMessage(message);
+    }
+  }
+
+  stopSync() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  close() {
+    this.stopSync();
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+// Another client's run as its state messages arrive. It has the Replay interface, so the same
+// interpolation moves their sabers, in versus or when spectating with the replay viewer.
+export class RemoteStream extends Replay {
+  constructor(peer, run) {
+    super({ ...run, events: [] }, []);
+    this.peer = peer;
+    this.run = run;
+    this.latest = null; // { sentAt, songTime, paused } from the last state message
+    this.results = null; // From their finish message
+  }
+
+  add({ time, frame, events = [], paused = false }) {
+    if (!Array.isArray(frame) || frame.length !== FRAME_SIZE) return;
+    const songTime = frame[0];
+    // Song time only goes back when they restarted, and then the old frames are of no use
+    if (this.frameCount > 0 && songTime < this.duration) {
+      this.frames = [];
+      this.header.events = [];
+    }
+    this.frames.push(...frame.map((value) => value ?? NaN));
+    this.header.events.push(...events);
+    this.latest = { sentAt: time, songTime, paused };
+
+    const first = this.findFrame(songTime - STREAM_LENGTH);
+    if (first > 0) this.frames.splice(0, first * FRAME_SIZE);
+  }
+
+  // Their song time at a relay clock time, carried on from the last message they sent
+  estimateSongTime(now) {
+    if (!this.latest) return Math.max(0, (now - this.run.startAt) * this.run.songSpeed);
+    const { sentAt, songTime, paused } = this.latest;
+    return paused ? songTime : songTime + (now - sentAt) * this.run.songSpeed;
+  }
+}
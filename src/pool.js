@@ -0,0 +1,27 @@
+// Reuses objects instead of allocating new ones, so long sessions don't churn the garbage collector.
+
+export class ObjectPool {
+  // create() builds a new object when the pool is empty
+  constructor(create) {
+    this.create = create;
+    this.free = [];
+    this.created = 0;
+    this.active = 0;
+  }
+
+  acquire() {
+    let object = this.free.pop();
+    if (!object) {
+      object = this.create();
+      this.created++;
+    }
+    this.active++;
+    return object;
+  }
+
+  release(object) {
+    if (this.free.includes(object)) return;
+    this.free.push(object);
+    this.active--;
+  }
+}
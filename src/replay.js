@@ -0,0 +1,188 @@
+import * as THREE from "three";
+
+// Replays of a run: per-frame head and saber poses with the HUD values, plus the hit events.
+//
+// Binary file layout (little-endian): "BSRP", uint32 format version, uint32 header byte length,
+// the header as UTF-8 JSON padded with spaces to a multiple of 4 bytes, then the frames as float32
+// values, FRAME_SIZE per frame. Poses are world-space positions and quaternions. Saber rotations
+// are stored with the blade along +Y, whichever way the saber model points, so recordings made in
+// VR play back on the desktop sabers. Only three.js math is used, so replays can also drive
+// collision tests outside the browser.
+
+export const REPLAY_FORMAT_VERSION = 1;
+export const REPLAY_FRAME_RATE = 60; // frames kept per second; playback interpolates between them
+const MAGIC = "BSRP";
+
+// Offsets within a frame; each pose is position xyz then quaternion xyzw, NaN when not tracked
+const TIME = 0;
+const SCORE = 1;
+const COMBO = 2;
+const MULTIPLIER = 3;
+const HEALTH = 4;
+const POSE_OFFSETS = { head: 5, left: 12, right: 19 };
+export const FRAME_SIZE = 26;
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _nextPosition = new THREE.Vector3();
+const _nextQuaternion = new THREE.Quaternion();
+
+// Append one frame's FRAME_SIZE values to an array; multiplayer sends frames in the same layout.
+// hud: { score, combo, multiplier, health }; objects: { head, left, right } as Object3Ds or null.
+// Sabers with userData.bladeRotation (+Y to the blade) are stored with the blade along +Y.
+export function packFrame(values, time, hud, objects) {
+  values.push(time, hud.score, hud.combo, hud.multiplier, hud.health);
+  ["head", "left", "right"].forEach((name) => {
+    const object = objects[name];
+    if (!object) {
+      values.push(NaN, NaN, NaN, NaN, NaN, NaN, NaN);
+      return;
+    }
+    object.matrixWorld.decompose(_position, _quaternion, _scale);
+    if (object.userData.bladeRotation) _quaternion.multiply(object.userData.bladeRotation);
+    values.push(_position.x, _position.y, _position.z, _quaternion.x, _quaternion.y, _quaternion.z, _quaternion.w);
+  });
+  return values;
+}
+
+export class ReplayRecorder {
+  // header: { beatmapUrl, title, difficulty, settings } describing the run
+  constructor(header) {
+    this.header = { ...header, formatVersion: REPLAY_FORMAT_VERSION, recordedAt: new Date().toISOString(), events: [] };
+    this.values = [];
+    this.lastTime = -Infinity;
+  }
+
+  // hud and objects as for packFrame()
+  addFrame(time, hud, objects) {
+    // A little slack, so frames rendered at exactly the frame rate aren't dropped for timer jitter
+    if (time - this.lastTime < 0.9 / REPLAY_FRAME_RATE) return;
+    this.lastTime = time;
+    packFrame(this.values, time, hud, objects);
+  }
+
+  // Hits, misses and finished cut scores, as { time, type, ... }
+  addEvent(event) {
+    this.header.events.push(event);
+  }
+
+  finish() {
+    return new Replay(this.header, Float32Array.from(this.values));
+  }
+}
+
+export class Replay {
+  constructor(header, frames) {
+    this.header = header;
+    this.frames = frames;
+  }
+
+  get frameCount() {
+    return this.frames.length / FRAME_SIZE;
+  }
+
+  get duration() {
+    return this.frameCount > 0 ? this.frames[(this.frameCount - 1) * FRAME_SIZE + TIME] : 0;
+  }
+
+  get events() {
+    return this.header.events;
+  }
+
+  // Index of the last frame at or before time, clamped to the first frame
+  findFrame(time) {
+    let low = 0;
+    let high = this.frameCount - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.frames[middle * FRAME_SIZE + TIME] <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  getHudState(time) {
+    const base = this.findFrame(time) * FRAME_SIZE;
+    const frames = this.frames;
+    return { score: frames[base + SCORE], combo: frames[base + COMBO], multiplier: frames[base + MULTIPLIER], health: frames[base + HEALTH] };
+  }
+
+  // Interpolated pose of "head", "left" or "right"; returns false if it wasn't tracked at that time
+  getPose(name, time, position, quaternion) {
+    if (this.frameCount === 0) return false;
+    const index = this.findFrame(time);
+    const offset = POSE_OFFSETS[name];
+    if (!this.readPose(index, offset, position, quaternion)) return false;
+
+    const next = index + 1;
+    if (next < this.frameCount && this.readPose(next, offset, _nextPosition, _nextQuaternion)) {
+      const from = this.frames[index * FRAME_SIZE + TIME];
+      const to = this.frames[next * FRAME_SIZE + TIME];
+      const t = Math.min(1, Math.max(0, (time - from) / (to - from)));
+      position.lerp(_nextPosition, t);
+      quaternion.slerp(_nextQuaternion, t);
+    }
+    return true;
+  }
+
+  readPose(index, offset, position, quaternion) {
+    const base = index * FRAME_SIZE + offset;
+    const frames = this.frames;
+    if (Number.isNaN(frames[base])) return false;
+    position.set(frames[base], frames[base + 1], frames[base + 2]);
+    quaternion.set(frames[base + 3], frames[base + 4], frames[base + 5], frames[base + 6]);
+    return true;
+  }
+
+  // Most recent event of one of the given types at or before time
+  getLastEvent(time, types) {
+    const events = this.events;
+    for (let i = events.length - 1; i >= 0; i--) {
+      if (events[i].time <= time && types.includes(events[i].type)) return events[i];
+    }
+    return null;
+  }
+
+  encode() {
+    let json = JSON.stringify(this.header);
+    const bytes = new TextEncoder().encode(json);
+    json += " ".repeat((4 - (bytes.length % 4)) % 4);
+    const headerBytes = new TextEncoder().encode(json);
+
+    const buffer = new ArrayBuffer(12 + headerBytes.length + this.frames.byteLength);
+    const view = new DataView(buffer);
+    for (let i = 0; i < MAGIC.length; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+    view.setUint32(4, REPLAY_FORMAT_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    new Uint8Array(buffer, 12, headerBytes.length).set(headerBytes);
+    const frames = new DataView(buffer, 12 + headerBytes.length);
+    this.frames.forEach((value, index) => frames.setFloat32(index * 4, value, true));
+    return buffer;
+  }
+
+  static decode(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (buffer.byteLength < 12 || magic !== MAGIC) {
+      throw new Error("Not a replay file");
+    }
+    const version = view.getUint32(4, true);
+    if (version > REPLAY_FORMAT_VERSION) {
+      throw new Error(`Replay is from a newer version (${version})`);
+    }
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+    const frameBytes = buffer.byteLength - 12 - headerLength;
+    if (frameBytes % (FRAME_SIZE * 4) !== 0) {
+      throw new Error("Replay frames are truncated");
+    }
+    const frameView = new DataView(buffer, 12 + headerLength);
+    const frames = new Float32Array(frameBytes / 4);
+    for (let i = 0; i < frames.length; i++) frames[i] = frameView.getFloat32(i * 4, true);
+    return new Replay(header, frames);
+  }
+}
@@ -0,0 +1,66 @@
+// Timeline scrubber and buttons shown over the game while a replay plays
+
+function formatTime(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+export class ReplayControls {
+  constructor(duration, parent = document.body) {
+    this.duration = duration;
+    this.scrubbing = false;
+    this.onSeek = null; // Called with the song time picked on the timeline
+    this.onTogglePause = null;
+    this.onExit = null;
+
+    this.element = document.createElement("div");
+    this.element.id = "replay-controls";
+    this.element.innerHTML = `
+      <button class="replay-pause">Pause</button>
+      <input class="replay-timeline" type="range" min="0" step="0.01" value="0" />
+      <span class="replay-time"></span>
+      <button class="replay-exit">Exit Replay</button>
+      <div class="replay-event"></div>
+    `;
+    this.pauseButton = this.element.querySelector(".replay-pause");
+    this.timeline = this.element.querySelector(".replay-timeline");
+    this.timeLabel = this.element.querySelector(".replay-time");
+    this.eventLabel = this.element.querySelector(".replay-event");
+    this.timeline.max = String(duration);
+
+    this.pauseButton.addEventListener("click", () => this.onTogglePause && this.onTogglePause());
+    this.element.querySelector(".replay-exit").addEventListener("click", () => this.onExit && this.onExit());
+    this.timeline.addEventListener("pointerdown", () => {
+      this.scrubbing = true;
+    });
+    this.timeline.addEventListener("pointerup", () => {
+      this.scrubbing = false;
+    });
+    this.timeline.addEventListener("input", () => {
+      if (this.onSeek) this.onSeek(Number(this.timeline.value));
+    });
+    // Keys on the slider would also reach the game's key bindings
+    this.element.addEventListener("keydown", (event) => event.stopPropagation());
+
+    parent.appendChild(this.element);
+    this.setTime(0);
+  }
+
+  setTime(time) {
+    if (!this.scrubbing) this.timeline.value = String(time);
+    this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(this.duration)}`;
+  }
+
+  setPaused(paused) {
+    this.pauseButton.textContent = paused ? "Play" : "Pause";
+  }
+
+  // Latest hit shown under the timeline, e.g. to check a disputed cut
+  setEvent(text) {
+    if (this.eventLabel.textContent !== text) this.eventLabel.textContent = text;
+  }
+
+  dispose() {
+    this.element.remove();
+  }
+}
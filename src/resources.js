@@ -0,0 +1,58 @@
+import * as THREE from "three";
+
+// Geometries and materials shared by every block, bomb and wall.
+// They live as long as the game and are never disposed.
+
+export const BLOCK_SIZE = 0.4;
+
+function createArrowGeometry() {
+  const arrowShape = new THREE.Shape();
+  arrowShape.moveTo(-0.12, -0.05);
+  arrowShape.lineTo(0.12, -0.05);
+  arrowShape.lineTo(0, 0.1);
+  arrowShape.closePath();
+  return new THREE.ShapeGeometry(arrowShape);
+}
+
+export class SharedResources {
+  // noteColors: hex color for each logical note color ID, from the color scheme
+  constructor(noteColors) {
+    this.blockGeometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
+    this.blockMaterials = {
+      red: new THREE.MeshStandardMaterial({ color: noteColors.red }),
+      blue: new THREE.MeshStandardMaterial({ color: noteColors.blue }),
+    };
+
+    // Arrow or dot on the face pointing at the player
+    this.arrowGeometry = createArrowGeometry();
+    this.dotGeometry = new THREE.CircleGeometry(0.06, 16);
+    this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    // Body of a block with the ghost notes modifier; the block still collides, only its markers show
+    this.ghostMaterial = new THREE.MeshBasicMaterial({ visible: false });
+
+    this.bombGeometry = new THREE.IcosahedronGeometry(0.2, 0);
+    this.bombMaterial = new THREE.MeshStandardMaterial({
+      color: 0x111111,
+      metalness: 0.9,
+      roughness: 0.3,
+    });
+
+    // Walls use a unit box scaled to their size
+    this.wallGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.wallEdgesGeometry = new THREE.EdgesGeometry(this.wallGeometry);
+    this.wallMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff2222,
+      emissive: 0xff0000,
+      emissiveIntensity: 0.4,
+      transparent: true,
+      opacity: 0.3,
+      depthWrite: false,
+    });
+    this.wallEdgesMaterial = new THREE.LineBasicMaterial({ color: 0xff4444 });
+  }
+
+  // Recolor every block at once when the color scheme changes
+  setNoteColors(noteColors) {
+    Object.entries(this.blockMaterials).forEach(([id, material]) => material.color.setHex(noteColors[id]));
+  }
+}
@@ -0,0 +1,116 @@
+import * as THREE from "three";
+
+// Smoothed saber motion shared by the desktop, touch and gamepad controls.
+// Input moves a target that the saber follows, and the saber leans into its smoothed velocity,
+// so swings have a direction, a speed and a blade rotation for cutting and swing scoring.
+
+const FOLLOW_RATE = 25; // how quickly a saber catches up with its target, per second
+const VELOCITY_SMOOTHING = 12;
+const TILT_PER_SPEED = 0.35; // radians of lean per meter per second
+const MAX_TILT = 1.4;
+
+// Quick swing gestures go out and back along a direction
+const SWING_DURATION = 0.2; // seconds
+const SWING_DISTANCE = 0.7; // meters
+
+// Held movement actions
+const HELD_MOVE_SPEED = 2.5; // meters per second
+const HELD_ROTATE_SPEED = 3; // radians per second
+
+export const SABER_ACTIONS = {
+  left: {
+    up: "leftUp",
+    down: "leftDown",
+    left: "leftLeft",
+    right: "leftRight",
+    rotateLeft: "leftRotateLeft",
+    rotateRight: "leftRotateRight",
+  },
+  right: {
+    up: "rightUp",
+    down: "rightDown",
+    left: "rightLeft",
+    right: "rightRight",
+    rotateLeft: "rightRotateLeft",
+    rotateRight: "rightRotateRight",
+  },
+};
+
+export const MOVEMENT_ACTIONS = new Set([...Object.values(SABER_ACTIONS.left), ...Object.values(SABER_ACTIONS.right)]);
+
+const _velocity = new THREE.Vector3();
+const _goal = new THREE.Vector3();
+
+function tilt(speed) {
+  return THREE.MathUtils.clamp(speed * TILT_PER_SPEED, -MAX_TILT, MAX_TILT);
+}
+
+// Move the target of the saber on one side while its movement actions are held
+export function applyHeldActions(motion, side, held, delta) {
+  const actions = SABER_ACTIONS[side];
+  const isHeld = (name) => (held.has(actions[name]) ? 1 : 0);
+  motion.target.x += (isHeld("right") - isHeld("left")) * HELD_MOVE_SPEED * delta;
+  motion.target.y += (isHeld("up") - isHeld("down")) * HELD_MOVE_SPEED * delta;
+  motion.roll += (isHeld("rotateLeft") - isHeld("rotateRight")) * HELD_ROTATE_SPEED * delta;
+}
+
+export class SaberMotion {
+  // The saber's current pose becomes the start pose that reset() returns to
+  constructor(saber) {
+    this.saber = saber;
+    this.startPosition = saber.position.clone();
+    this.startRoll = saber.rotation.z;
+    this.target = saber.position.clone();
+    this.previous = saber.position.clone();
+    this.velocity = new THREE.Vector3();
+    this.roll = this.startRoll;
+    this.orientation = null; // Set by inputs that report their own rotation, replaces the lean
+    this.swingDirection = new THREE.Vector3();
+    this.swingElapsed = null;
+  }
+
+  reset() {
+    this.saber.position.copy(this.startPosition);
+    this.target.copy(this.startPosition);
+    this.previous.copy(this.startPosition);
+    this.velocity.set(0, 0, 0);
+    this.roll = this.startRoll;
+    this.swingElapsed = null;
+    this.saber.rotation.set(0, 0, this.roll);
+  }
+
+  // A quick out-and-back swing along a { x, y } direction, a downward cut by default
+  swing(direction = { x: 0, y: -1 }) {
+    const length = Math.hypot(direction.x, direction.y) || 1;
+    this.swingDirection.set(direction.x / length, direction.y / length, 0);
+    this.swingElapsed = 0;
+  }
+
+  // Move towards the target and lean the blade into the swing
+  follow(delta) {
+    if (delta <= 0) return;
+    const saber = this.saber;
+
+    let goal = this.target;
+    if (this.swingElapsed !== null) {
+      this.swingElapsed += delta;
+      const progress = this.swingElapsed / SWING_DURATION;
+      if (progress >= 1) {
+        this.swingElapsed = null;
+      } else {
+        goal = _goal.copy(this.target).addScaledVector(this.swingDirection, SWING_DISTANCE * Math.sin(Math.PI * progress));
+      }
+    }
+
+    this.previous.copy(saber.position);
+    saber.position.lerp(goal, 1 - Math.exp(-FOLLOW_RATE * delta));
+
+    _velocity.subVectors(saber.position, this.previous).divideScalar(delta);
+    this.velocity.lerp(_velocity, 1 - Math.exp(-VELOCITY_SMOOTHING * delta));
+    if (this.orientation) {
+      saber.quaternion.copy(this.orientation);
+    } else {
+      saber.rotation.set(tilt(this.velocity.y), 0, this.roll - tilt(this.velocity.x));
+    }
+  }
+}
@@ -0,0 +1,265 @@
+// Beat Saber-style cut scoring and combo multiplier.
+// Pure math on plain { x, y, z } vectors so it can run without three.js.
+
+export const MAX_PRE_SWING_SCORE = 70;
+export const MAX_POST_SWING_SCORE = 30;
+export const MAX_ACCURACY_SCORE = 15;
+export const MAX_CUT_SCORE = MAX_PRE_SWING_SCORE + MAX_POST_SWING_SCORE + MAX_ACCURACY_SCORE;
+
+export const PRE_SWING_FULL_ANGLE = 100; // degrees of swing before the cut for full points
+export const POST_SWING_FULL_ANGLE = 60; // degrees of follow-through for full points
+export const ACCURACY_RANGE = 0.2; // meters from the block center at which accuracy points reach zero
+
+// Notes needed at each multiplier before it doubles
+export const MULTIPLIER_STEPS = [
+  { multiplier: 1, hits: 2 },
+  { multiplier: 2, hits: 4 },
+  { multiplier: 4, hits: 8 },
+  { multiplier: 8, hits: Infinity },
+];
+
+// How long the follow-through is measured after a cut, in seconds
+export const POST_SWING_WINDOW = 0.4;
+// How far back the pre-swing is measured before a cut, in seconds
+export const PRE_SWING_WINDOW = 0.5;
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+// Angle between two directions in degrees
+export function angleBetween(a, b) {
+  const lengths = length(a) * length(b);
+  if (lengths === 0) return 0;
+  return (Math.acos(Math.min(1, Math.max(-1, dot(a, b) / lengths))) * 180) / Math.PI;
+}
+
+export function preSwingScore(angle) {
+  return Math.round(MAX_PRE_SWING_SCORE * clamp01(angle / PRE_SWING_FULL_ANGLE));
+}
+
+export function postSwingScore(angle) {
+  return Math.round(MAX_POST_SWING_SCORE * clamp01(angle / POST_SWING_FULL_ANGLE));
+}
+
+export function accuracyScore(centerDistance) {
+  return Math.round(MAX_ACCURACY_SCORE * (1 - clamp01(centerDistance / ACCURACY_RANGE)));
+}
+
+// Score breakdown for one cut before the multiplier is applied
+export function scoreCut({ preSwingAngle, postSwingAngle, centerDistance }) {
+  const preSwing = preSwingScore(preSwingAngle);
+  const postSwing = postSwingScore(postSwingAngle);
+  const accuracy = accuracyScore(centerDistance);
+  return {
+    preSwingAngle,
+    postSwingAngle,
+    centerDistance,
+    preSwing,
+    postSwing,
+    accuracy,
+    total: preSwing + postSwing + accuracy,
+  };
+}
+
+// Highest score reachable with the given number of notes, all cut perfectly without a break
+export function maxScoreForNotes(noteCount) {
+  let score = 0;
+  let step = 0;
+  let progress = 0;
+  for (let i = 0; i < noteCount; i++) {
+    score += MAX_CUT_SCORE * MULTIPLIER_STEPS[step].multiplier;
+    progress++;
+    if (progress >= MULTIPLIER_STEPS[step].hits) {
+      step++;
+      progress = 0;
+    }
+  }
+  return score;
+}
+
+// Minimum accuracy for each rank, best first
+export const RANKS = [
+  { rank: "SS", accuracy: 0.9 },
+  { rank: "S", accuracy: 0.8 },
+  { rank: "A", accuracy: 0.65 },
+  { rank: "B", accuracy: 0.5 },
+  { rank: "C", accuracy: 0.35 },
+  { rank: "D", accuracy: 0.2 },
+  { rank: "E", accuracy: 0 },
+];
+
+export function getRank(accuracy) {
+  return RANKS.find((entry) => accuracy >= entry.accuracy).rank;
+}
+
+// Tracks the blade direction of one saber and measures swing angles before and after a cut
+export class SwingTracker {
+  constructor() {
+    this.samples = [];
+    this.followThroughs = [];
+  }
+
+  // Sum the rotation walking back from the newest sample while the blade keeps turning the same way
+  getPreSwingAngle() {
+    const samples = this.samples;
+    if (samples.length < 2) return 0;
+
+    const newest = samples[samples.length - 1];
+    const axis = cross(samples[samples.length - 2].direction, newest.direction);
+    let angle = 0;
+    for (let i = samples.length - 1; i > 0; i--) {
+      const current = samples[i];
+      const previous = samples[i - 1];
+      if (newest.time - previous.time > PRE_SWING_WINDOW) break;
+      if (dot(cross(previous.direction, current.direction), axis) < 0) break;
+      angle += angleBetween(previous.direction, current.direction);
+    }
+    return angle;
+  }
+
+  // Measure the follow-through from now on and report it once the swing stops or turns back
+  trackFollowThrough(onComplete) {
+    const last = this.samples[this.samples.length - 1];
+    this.followThroughs.push({
+      direction: last ? last.direction : null,
+      axis: null,
+      angle: 0,
+      elapsed: 0,
+      onComplete,
+    });
+  }
+
+  addSample(direction, time) {
+    const previous = this.samples[this.samples.length - 1];
+    const sample = { direction: { x: direction.x, y: direction.y, z: direction.z }, time };
+    this.samples.push(sample);
+    while (this.samples.length > 2 && time - this.samples[0].time > PRE_SWING_WINDOW) {
+      this.samples.shift();
+    }
+
+    const delta = previous ? time - previous.time : 0;
+    for (let i = this.followThroughs.length - 1; i >= 0; i--) {
+      const followThrough = this.followThroughs[i];
+      let done = false;
+
+      if (followThrough.direction) {
+        const rotation = cross(followThrough.direction, sample.direction);
+        if (!followThrough.axis) {
+          followThrough.axis = rotation;
+        }
+        if (dot(rotation, followThrough.axis) < 0) {
+          done = true;
+        } else {
+          followThrough.angle += angleBetween(followThrough.direction, sample.direction);
+        }
+      }
+      followThrough.direction = sample.direction;
+      followThrough.elapsed += delta;
+
+      if (done || followThrough.elapsed >= POST_SWING_WINDOW || followThrough.angle >= POST_SWING_FULL_ANGLE) {
+        this.followThroughs.splice(i, 1);
+        followThrough.onComplete(followThrough.angle);
+      }
+    }
+  }
+
+  // Finish pending follow-throughs with what was measured so far
+  flush() {
+    const followThroughs = this.followThroughs;
+    this.followThroughs = [];
+    followThroughs.forEach((followThrough) => followThrough.onComplete(followThrough.angle));
+  }
+}
+
+// Running score, combo and multiplier for one play session
+export class ScoreKeeper {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.score = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.multiplierStep = 0;
+    this.multiplierProgress = 0;
+    this.cuts = [];
+    this.notesHit = 0;
+    this.misses = 0;
+    this.badCuts = 0;
+    this.bombHits = 0;
+    this.pendingCuts = 0;
+  }
+
+  get multiplier() {
+    return MULTIPLIER_STEPS[this.multiplierStep].multiplier;
+  }
+
+  get notesResolved() {
+    return this.notesHit + this.misses + this.badCuts;
+  }
+
+  // Share of the highest reachable score for the notes finished so far
+  get accuracy() {
+    const maxScore = maxScoreForNotes(this.notesHit - this.pendingCuts + this.misses + this.badCuts);
+    return maxScore > 0 ? this.score / maxScore : 1;
+  }
+
+  // Count a good cut towards the combo; the score follows in finishCut() once the follow-through is known
+  beginCut() {
+    const multiplier = this.multiplier;
+    this.notesHit++;
+    this.pendingCuts++;
+    this.combo++;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+    this.multiplierProgress++;
+    if (this.multiplierProgress >= MULTIPLIER_STEPS[this.multiplierStep].hits) {
+      this.multiplierStep++;
+      this.multiplierProgress = 0;
+    }
+    return { multiplier };
+  }
+
+  finishCut(pending, breakdown) {
+    const cut = { ...breakdown, multiplier: pending.multiplier, score: breakdown.total * pending.multiplier };
+    this.pendingCuts--;
+    this.score += cut.score;
+    this.cuts.push(cut);
+    return cut;
+  }
+
+  registerMiss() {
+    this.misses++;
+    this.breakCombo();
+  }
+
+  registerBadCut() {
+    this.badCuts++;
+    this.breakCombo();
+  }
+
+  // Bombs break the combo but are not notes, so they don't count towards accuracy
+  registerBombHit() {
+    this.bombHits++;
+    this.breakCombo();
+  }
+
+  breakCombo() {
+    this.combo = 0;
+    this.multiplierStep = 0;
+    this.multiplierProgress = 0;
+  }
+}
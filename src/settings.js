@@ -0,0 +1,65 @@
+// Player settings and their defaults.
+
+import { COLOR_SCHEMES } from "./colorSchemes.js";
+import { ENVIRONMENTS } from "./environment.js";
+import { normalizeModifiers } from "./modifiers.js";
+
+export const HAPTIC_STRENGTHS = [0, 0.25, 0.5, 0.75, 1];
+export const TRAIL_LENGTHS = [6, 12, 20, 30]; // frames
+export const BLADE_LENGTHS = [0.9, 1.0, 1.2, 1.4]; // meters
+export const VOLUMES = [0, 0.25, 0.5, 0.75, 1];
+export const AUDIO_OFFSETS = [-100, -50, -25, 0, 25, 50, 100]; // milliseconds
+export const NOTE_JUMP_SPEEDS = [0, 8, 10, 12, 14, 16, 18, 20]; // meters per second; 0 keeps each map's own
+export const SPAWN_OFFSETS = [-4, -2, 0, 2, 4]; // meters added to the distance blocks fly
+
+export const DEFAULT_SETTINGS = {
+  hapticStrength: 1, // 0 turns controller vibration off
+  trails: true,
+  trailLength: 12,
+  colorScheme: "classic", // key of COLOR_SCHEMES
+  bladeLength: 1.2,
+  swapHands: false, // left hand holds the blue saber
+  volume: 1,
+  audioOffset: 0, // milliseconds; positive values play notes later relative to the music
+  environment: "neon", // key of ENVIRONMENTS
+  reducedEffects: false, // calmer lights and fewer scenery meshes, for low-end devices and photosensitive players
+  noteJumpSpeed: 0, // meters per second, 0 for the map's own
+  spawnOffset: 0, // meters; more gives more time to react
+  modifiers: [], // keys of MODIFIERS
+};
+
+// The values the settings menu offers for each setting that isn't an on/off toggle
+const SETTING_OPTIONS = {
+  hapticStrength: HAPTIC_STRENGTHS,
+  trailLength: TRAIL_LENGTHS,
+  colorScheme: Object.keys(COLOR_SCHEMES),
+  bladeLength: BLADE_LENGTHS,
+  volume: VOLUMES,
+  audioOffset: AUDIO_OFFSETS,
+  environment: Object.keys(ENVIRONMENTS),
+  noteJumpSpeed: NOTE_JUMP_SPEEDS,
+  spawnOffset: SPAWN_OFFSETS,
+};
+
+function isValidSetting(key, value) {
+  if (SETTING_OPTIONS[key]) return SETTING_OPTIONS[key].includes(value);
+  return typeof value === typeof DEFAULT_SETTINGS[key] && Array.isArray(value) === Array.isArray(DEFAULT_SETTINGS[key]);
+}
+
+// Settings from saved data on top of the defaults, skipping unknown keys and values the menus don't offer,
+// as saved data may come from an imported file or be edited by hand
+export function loadSettings(saved = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!saved || typeof saved !== "object" || Array.isArray(saved)) return settings;
+  Object.keys(settings).forEach((key) => {
+    if (isValidSetting(key, saved[key])) settings[key] = saved[key];
+  });
+  settings.modifiers = normalizeModifiers(settings.modifiers);
+  return settings;
+}
+
+// Next value in a list of options, wrapping around, for settings buttons that cycle through choices
+export function cycleOption(options, current) {
+  const index = options.indexOf(current);
+  return options[(index + 1) % options.length];
+}
@@ -0,0 +1,134 @@
+import * as THREE from "three";
+
+// Split a convex geometry along a plane (in the geometry's local space) into two closed halves.
+// Returns { front, back } where front lies on the side the plane normal points to; either may be null.
+// Pass preallocated { front, back } targets (see createSliceTarget) to fill them instead of allocating new geometry.
+
+const EPSILON = 1e-6;
+
+// Enough for a sliced box: up to two triangles per clipped face plus the cap
+export const MAX_SLICE_VERTICES = 192;
+
+// Non-indexed copies of indexed source geometries, made once per geometry
+const nonIndexedCache = new WeakMap();
+
+export function createSliceTarget(maxVertices = MAX_SLICE_VERTICES) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(maxVertices * 3), 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(new Float32Array(maxVertices * 3), 3).setUsage(THREE.DynamicDrawUsage));
+  return geometry;
+}
+
+// Keep the part of a polygon on one side of the plane (Sutherland-Hodgman)
+function clipPolygon(points, distances, side, intersections) {
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const j = (i + 1) % points.length;
+    const dp = distances[i] * side;
+    const dq = distances[j] * side;
+    if (dp >= 0) {
+      result.push(points[i]);
+    }
+    if (dp >= 0 !== dq >= 0) {
+      const point = points[i].clone().lerp(points[j], dp / (dp - dq));
+      result.push(point);
+      if (intersections) intersections.push(point);
+    }
+  }
+  return result;
+}
+
+function pushFan(polygon, target) {
+  for (let i = 1; i < polygon.length - 1; i++) {
+    target.push(polygon[0], polygon[i], polygon[i + 1]);
+  }
+}
+
+// Order the section outline around its centroid so it can be filled as a fan
+function buildCap(points, normal) {
+  if (points.length < 3) return [];
+
+  const center = new THREE.Vector3();
+  points.forEach((point) => center.add(point));
+  center.divideScalar(points.length);
+
+  const u = new THREE.Vector3().subVectors(points[0], center).normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  const sorted = points
+    .map((point) => {
+      const offset = new THREE.Vector3().subVectors(point, center);
+      return { point, angle: Math.atan2(offset.dot(v), offset.dot(u)) };
+    })
+    .sort((a, b) => a.angle - b.angle)
+    .map((entry) => entry.point)
+    .filter((point, index, list) => index === 0 || point.distanceToSquared(list[index - 1]) > EPSILON);
+
+  const triangles = [];
+  for (let i = 0; i < sorted.length; i++) {
+    triangles.push(center, sorted[i], sorted[(i + 1) % sorted.length]);
+  }
+  return triangles;
+}
+
+function toGeometry(vertices, target) {
+  if (vertices.length === 0) return null;
+  if (!target) {
+    const positions = new Float32Array(vertices.length * 3);
+    vertices.forEach((vertex, i) => vertex.toArray(positions, i * 3));
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  const position = target.attributes.position;
+  if (vertices.length > position.count) return null;
+  position.array.fill(0);
+  vertices.forEach((vertex, i) => vertex.toArray(position.array, i * 3));
+  position.needsUpdate = true;
+  target.setDrawRange(0, vertices.length);
+  target.computeVertexNormals();
+  target.computeBoundingSphere();
+  return target;
+}
+
+function getNonIndexed(geometry) {
+  if (!geometry.index) return geometry;
+  let source = nonIndexedCache.get(geometry);
+  if (!source) {
+    source = geometry.toNonIndexed();
+    nonIndexedCache.set(geometry, source);
+  }
+  return source;
+}
+
+export function sliceGeometry(geometry, plane, targets = null) {
+  const source = getNonIndexed(geometry);
+  const position = source.attributes.position;
+  const front = [];
+  const back = [];
+  const intersections = [];
+
+  for (let i = 0; i < position.count; i += 3) {
+    const triangle = [0, 1, 2].map((k) => new THREE.Vector3().fromBufferAttribute(position, i + k));
+    const distances = triangle.map((point) => {
+      const distance = plane.distanceToPoint(point);
+      return Math.abs(distance) < EPSILON ? 0 : distance;
+    });
+
+    pushFan(clipPolygon(triangle, distances, 1, intersections), front);
+    pushFan(clipPolygon(triangle, distances, -1, null), back);
+  }
+
+  // The front half is closed by a cap facing against the normal, the back half by one facing along it
+  const backCap = buildCap(intersections, plane.normal);
+  back.push(...backCap);
+  for (let i = 0; i < backCap.length; i += 3) {
+    front.push(backCap[i], backCap[i + 2], backCap[i + 1]);
+  }
+
+  return {
+    front: toGeometry(front, targets && targets.front),
+    back: toGeometry(back, targets && targets.back),
+  };
+}
@@ -0,0 +1,204 @@
+// Saved player data: settings, control bindings, high scores and lifetime play statistics.
+//
+// Everything is kept as one JSON document in localStorage, which also is the format of exported
+// files. The document carries a schema version; documents written by an older version, whether
+// found in this browser or imported from a file, are upgraded step by step through MIGRATIONS.
+
+export const STORAGE_KEY = "beatSaberClone.profile";
+export const SCHEMA_VERSION = 1;
+
+const DEFAULT_STATS = {
+  plays: 0,
+  cleared: 0,
+  failed: 0,
+  fullCombos: 0,
+  notesHit: 0,
+  misses: 0,
+  badCuts: 0,
+  bombHits: 0,
+  highestCombo: 0,
+  playTime: 0, // seconds of song time
+};
+
+const SECTIONS = ["settings", "keyBindings", "gamepadBindings", "highScores", "stats"];
+
+const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+// MIGRATIONS[n] turns a version n document into a version n + 1 document
+const MIGRATIONS = [
+  // 0: nothing saved yet, or data from before versions; the sections it has are kept
+  (data) => ({
+    settings: {},
+    keyBindings: {},
+    gamepadBindings: {},
+    highScores: {}, // song id -> difficulty -> best result
+    ...data,
+    stats: isObject(data.stats) ? { ...DEFAULT_STATS, ...data.stats } : (data.stats ?? { ...DEFAULT_STATS }),
+  }),
+];
+
+// Upgrade a saved document to the current schema version
+export function migrateProfile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Saved data is not an object");
+  }
+  let version = Number(data.version) || 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Saved data is from a newer version (${version})`);
+  }
+  let profile = data;
+  while (version < SCHEMA_VERSION) {
+    profile = { ...MIGRATIONS[version](profile), version: version + 1 };
+    version++;
+  }
+  return profile;
+}
+
+export function createProfile() {
+  return migrateProfile({ version: 0 });
+}
+
+// Names of the sections of a current version document that aren't shaped as they should be
+function findMalformedSections(profile) {
+  return SECTIONS.filter((key) => {
+    const section = profile[key];
+    if (!isObject(section)) return true;
+    if (key === "stats") return Object.keys(DEFAULT_STATS).some((stat) => !Number.isFinite(section[stat]));
+    if (key === "highScores") {
+      return Object.values(section).some(
+        (scores) => !isObject(scores) || Object.values(scores).some((best) => !isObject(best) || !Number.isFinite(best.score)),
+      );
+    }
+    return false;
+  });
+}
+
+// Defaults in place of malformed sections, e.g. of data saved by a version without these checks
+function repairProfile(profile) {
+  const malformed = findMalformedSections(profile);
+  if (malformed.length === 0) return profile;
+  console.error(`Saved data has a malformed ${malformed.join(", ")}; using defaults for it`);
+  const defaults = createProfile();
+  const repaired = { ...profile, ...Object.fromEntries(malformed.map((key) => [key, defaults[key]])) };
+  // Stats that are still numbers are worth keeping
+  if (malformed.includes("stats") && isObject(profile.stats)) {
+    Object.keys(DEFAULT_STATS).forEach((stat) => {
+      if (Number.isFinite(profile.stats[stat])) repaired.stats[stat] = profile.stats[stat];
+    });
+  }
+  return repaired;
+}
+
+// High scores are keyed by the beatmap path, so they survive the page moving to another host
+export function getSongId(url) {
+  return new URL(url, globalThis.location?.href).pathname;
+}
+
+// localStorage can be missing or throw on access, e.g. with storage disabled
+function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+export class ProfileStore {
+  constructor(storage = getLocalStorage()) {
+    this.storage = storage;
+    this.profile = this.load();
+  }
+
+  load() {
+    try {
+      const json = this.storage && this.storage.getItem(STORAGE_KEY);
+      if (json) return repairProfile({ ...createProfile(), ...migrateProfile(JSON.parse(json)) });
+    } catch (error) {
+      console.error("Failed to load saved data:", error);
+    }
+    return createProfile();
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profile));
+    } catch (error) {
+      console.error("Failed to save data:", error);
+    }
+  }
+
+  get settings() {
+    return this.profile.settings;
+  }
+
+  get stats() {
+    return this.profile.stats;
+  }
+
+  saveSettings(settings, keyBindings, gamepadBindings) {
+    this.profile.settings = { ...settings };
+    this.profile.keyBindings = keyBindings.toJSON();
+    this.profile.gamepadBindings = gamepadBindings.toJSON();
+    this.save();
+  }
+
+  getHighScore(songId, difficulty) {
+    const scores = this.profile.highScores[songId];
+    return (scores && scores[difficulty]) || null;
+  }
+
+  // Add a finished or failed run to the lifetime stats, and to the high scores if it was finished.
+  // run: { cleared, score, accuracy, rank, fullCombo, maxCombo, modifiers, notesHit, misses, badCuts, bombHits, duration }
+  // Returns the high score before this run, or null if there was none.
+  recordRun(songId, difficulty, run) {
+    const stats = this.profile.stats;
+    stats.plays++;
+    stats[run.cleared ? "cleared" : "failed"]++;
+    if (run.cleared && run.fullCombo) stats.fullCombos++;
+    stats.notesHit += run.notesHit;
+    stats.misses += run.misses;
+    stats.badCuts += run.badCuts;
+    stats.bombHits += run.bombHits;
+    stats.highestCombo = Math.max(stats.highestCombo, run.maxCombo);
+    stats.playTime += run.duration;
+
+    const previous = this.getHighScore(songId, difficulty);
+    if (run.cleared) {
+      const scores = (this.profile.highScores[songId] = this.profile.highScores[songId] || {});
+      const best =
+        previous && previous.score >= run.score
+          ? previous
+          : { score: run.score, accuracy: run.accuracy, rank: run.rank, maxCombo: run.maxCombo, modifiers: run.modifiers || [] };
+      // A full combo counts even if it wasn't the best scoring run
+      scores[difficulty] = {
+        ...best,
+        fullCombo: run.fullCombo || !!(previous && previous.fullCombo),
+        clears: (previous ? previous.clears : 0) + 1,
+        date: best === previous ? previous.date : new Date().toISOString(),
+      };
+    }
+    this.save();
+    return previous;
+  }
+
+  exportJSON() {
+    return JSON.stringify(this.profile, null, 2);
+  }
+
+  // Replace all saved data with an exported document; throws if it isn't one, leaving the saved data as it was
+  importJSON(json) {
+    const data = JSON.parse(json);
+    if (!data || !Number.isInteger(data.version)) {
+      throw new Error("Not an exported save file");
+    }
+    const profile = { ...createProfile(), ...migrateProfile(data) };
+    const malformed = findMalformedSections(profile);
+    if (malformed.length > 0) {
+      throw new Error(`Save file has a malformed ${malformed.join(", ")}`);
+    }
+    this.profile = profile;
+    this.save();
+    return this.profile;
+  }
+}
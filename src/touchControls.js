@@ -0,0 +1,71 @@
+import * as THREE from "three";
+
+// Multi-touch saber control for phones: each finger drags one saber.
+// A finger that lands on the left half of the screen takes the left saber, the right half the right one.
+// The finger, projected onto the plane the saber stands in, is the target of the saber's SaberMotion,
+// which turns the swipe velocity into blade motion.
+
+const HILT_BELOW_FINGER = 0.4; // meters, so the blade stays visible next to the finger
+
+export class TouchSaberControls {
+  constructor(domElement, camera) {
+    this.domElement = domElement;
+    this.camera = camera;
+    this.sabers = {};
+    this.fingers = new Map(); // Touch identifier -> saber side
+    this.raycaster = new THREE.Raycaster();
+    this.plane = new THREE.Plane();
+
+    // Not passive, so the page doesn't scroll or zoom while swinging
+    const options = { passive: false };
+    domElement.addEventListener("touchstart", (event) => this.handleTouchStart(event), options);
+    domElement.addEventListener("touchmove", (event) => this.handleTouchMove(event), options);
+    domElement.addEventListener("touchend", (event) => this.handleTouchEnd(event));
+    domElement.addEventListener("touchcancel", (event) => this.handleTouchEnd(event));
+  }
+
+  // side is "left" or "right", motion the SaberMotion of that saber
+  addSaber(side, motion) {
+    this.sabers[side] = motion;
+  }
+
+  handleTouchStart(event) {
+    event.preventDefault();
+    const rect = this.domElement.getBoundingClientRect();
+    const taken = new Set(this.fingers.values());
+    for (const touch of event.changedTouches) {
+      const side = touch.clientX < rect.left + rect.width / 2 ? "left" : "right";
+      if (taken.has(side) || !this.sabers[side]) continue;
+      taken.add(side);
+      this.fingers.set(touch.identifier, side);
+      this.moveTarget(side, touch, rect);
+    }
+  }
+
+  handleTouchMove(event) {
+    event.preventDefault();
+    const rect = this.domElement.getBoundingClientRect();
+    for (const touch of event.changedTouches) {
+      const side = this.fingers.get(touch.identifier);
+      if (side) this.moveTarget(side, touch, rect);
+    }
+  }
+
+  handleTouchEnd(event) {
+    for (const touch of event.changedTouches) {
+      this.fingers.delete(touch.identifier);
+    }
+  }
+
+  moveTarget(side, touch, rect) {
+    const motion = this.sabers[side];
+    const pointer = new THREE.Vector2(((touch.clientX - rect.left) / rect.width) * 2 - 1, -((touch.clientY - rect.top) / rect.height) * 2 + 1);
+    this.raycaster.setFromCamera(pointer, this.camera);
+    this.plane.set(new THREE.Vector3(0, 0, 1), -motion.startPosition.z);
+
+    const point = new THREE.Vector3();
+    if (this.raycaster.ray.intersectPlane(this.plane, point)) {
+      motion.target.set(point.x, point.y - HILT_BELOW_FINGER, motion.startPosition.z);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import * as THREE from "three";
+
+// Ribbon trail behind a saber blade, built from the blade's base and tip over the last frames
+// and fading out with age so fast swings stay readable.
+
+export const MAX_TRAIL_LENGTH = 30; // frames
+export const DEFAULT_TRAIL_LENGTH = 12;
+
+const BASE_ALPHA = 0.2; // the ribbon fades towards the hilt
+
+export class SaberTrail {
+  constructor(color, length = DEFAULT_TRAIL_LENGTH) {
+    this.color = new THREE.Color(color);
+    this.length = Math.min(length, MAX_TRAIL_LENGTH);
+    this.samples = []; // Newest first, as { base, tip } in world space
+
+    // Two vertices per sample, joined into quads between neighbouring samples
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(MAX_TRAIL_LENGTH * 2 * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(MAX_TRAIL_LENGTH * 2 * 4), 4).setUsage(THREE.DynamicDrawUsage));
+    const indices = [];
+    for (let i = 0; i < MAX_TRAIL_LENGTH - 1; i++) {
+      const base = i * 2;
+      indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+    }
+    geometry.setIndex(indices);
+    geometry.setDrawRange(0, 0);
+
+    this.mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      }),
+    );
+    // The ribbon is rebuilt in world space every frame, so its bounds are never current
+    this.mesh.frustumCulled = false;
+  }
+
+  setLength(length) {
+    this.length = Math.max(2, Math.min(length, MAX_TRAIL_LENGTH));
+    this.samples.length = Math.min(this.samples.length, this.length);
+    this.update();
+  }
+
+  setColor(color) {
+    this.color.set(color);
+    this.update();
+  }
+
+  clear() {
+    this.samples = [];
+    this.update();
+  }
+
+  // Add the blade position of the current frame
+  push(base, tip) {
+    const sample = this.samples.length >= this.length ? this.samples.pop() : { base: new THREE.Vector3(), tip: new THREE.Vector3() };
+    sample.base.copy(base);
+    sample.tip.copy(tip);
+    this.samples.unshift(sample);
+    this.update();
+  }
+
+  update() {
+    const position = this.mesh.geometry.attributes.position;
+    const color = this.mesh.geometry.attributes.color;
+    const { r, g, b } = this.color;
+
+    this.samples.forEach((sample, index) => {
+      const fade = 1 - index / this.length;
+      position.setXYZ(index * 2, sample.base.x, sample.base.y, sample.base.z);
+      position.setXYZ(index * 2 + 1, sample.tip.x, sample.tip.y, sample.tip.z);
+      color.setXYZW(index * 2, r, g, b, fade * BASE_ALPHA);
+      color.setXYZW(index * 2 + 1, r, g, b, fade);
+    });
+    position.needsUpdate = true;
+    color.needsUpdate = true;
+    this.mesh.geometry.setDrawRange(0, Math.max(0, this.samples.length - 1) * 6);
+  }
+
+  dispose() {
+    this.mesh.removeFromParent();
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
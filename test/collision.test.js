@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { BladeSweep, triangleIntersectsBox } from "../src/collision.js";
+
+const BLOCK_SIZE = 0.4;
+const HALF = BLOCK_SIZE / 2;
+
+// A two meter blade lying along z, centered on the saber's origin
+function createBlade() {
+  return new BladeSweep(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -1));
+}
+
+function createBlock(rotation = new THREE.Euler()) {
+  const block = new THREE.Mesh(new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE));
+  block.rotation.copy(rotation);
+  block.updateMatrixWorld();
+  return block;
+}
+
+function createBlockAt(x, y, z) {
+  const block = createBlock();
+  block.position.set(x, y, z);
+  block.updateMatrixWorld();
+  return block;
+}
+
+const at = (x, y, z) => new THREE.Matrix4().makeTranslation(x, y, z);
+const vector = (x, y, z) => new THREE.Vector3(x, y, z);
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test("triangle through the middle of the box without a vertex inside intersects", () => {
+  const extents = vector(HALF, HALF, HALF);
+  assert.equal(triangleIntersectsBox(vector(-1, -1, 0), vector(1, -1, 0), vector(0, 1, 0), vector(0, 0, 0), extents), true);
+});
+
+test("triangle beside the box does not intersect", () => {
+  const extents = vector(HALF, HALF, HALF);
+  assert.equal(triangleIntersectsBox(vector(0.3, -1, 0), vector(1, -1, 0), vector(1, 1, 0), vector(0, 0, 0), extents), false);
+});
+
+test("triangle whose bounds overlap the box but whose plane passes a corner does not intersect", () => {
+  const extents = vector(HALF, HALF, HALF);
+  // The plane x + y + z = 0.7 lies beyond the corner at (0.2, 0.2, 0.2)
+  assert.equal(triangleIntersectsBox(vector(0.7, 0, 0), vector(0, 0.7, 0), vector(0, 0, 0.7), vector(0, 0, 0), extents), false);
+  assert.equal(triangleIntersectsBox(vector(0.5, 0, 0), vector(0, 0.5, 0), vector(0, 0, 0.5), vector(0, 0, 0), extents), true);
+});
+
+test("degenerate triangle, a blade that didn't move, intersects when it crosses the box", () => {
+  const extents = vector(HALF, HALF, HALF);
+  const base = vector(0, 0, 1);
+  const tip = vector(0, 0, -1);
+  assert.equal(triangleIntersectsBox(base, tip, tip, vector(0, 0, 0), extents), true);
+  assert.equal(triangleIntersectsBox(base, tip, tip, vector(0, 0.3, 0), extents), false);
+});
+
+test("swing through the middle of a block with no corner contact hits", () => {
+  const blade = createBlade().set(at(-1, 0, 0), at(1, 0, 0));
+  const hit = blade.intersectObject(createBlock());
+  assert.ok(hit);
+  // The blade spans the block along z, so neither blade end nor a block corner is ever touched
+  assertClose(hit.time, (1 - HALF) / 2, 0.005, "time");
+});
+
+test("hit reports the time, point and cut plane of the contact", () => {
+  const blade = createBlade().set(at(-1, 0, 0), at(1, 0, 0));
+  const hit = blade.intersectObject(createBlock());
+  assert.ok(hit);
+
+  assertClose(hit.time, 0.4, 0.005, "time");
+  assertClose(hit.point.x, -HALF, 0.01, "point x");
+  assertClose(hit.point.y, 0, 1e-6, "point y");
+  assertClose(hit.point.z, 0, 0.01, "point z");
+
+  // The plane is spanned by the blade (z) and its motion (x)
+  assertClose(Math.abs(hit.plane.normal.y), 1, 1e-6, "plane normal");
+  assertClose(hit.plane.distanceToPoint(vector(0.3, 0, -0.5)), 0, 1e-6, "plane offset");
+  assertClose(hit.swing.x, 2, 1e-6, "swing");
+});
+
+test("swing against a rotated block hits its rotated edge first", () => {
+  // Turned 45 degrees around the blade, the block reaches out to |x| + |y| = HALF * sqrt(2)
+  const block = createBlock(new THREE.Euler(0, 0, Math.PI / 4));
+  const y = 0.05;
+  const reach = HALF * Math.SQRT2 - y;
+  const blade = createBlade().set(at(-1, y, 0), at(1, y, 0));
+  const hit = blade.intersectObject(block);
+  assert.ok(hit);
+  assertClose(hit.time, (1 - reach) / 2, 0.005, "time");
+  assertClose(hit.point.x, -reach, 0.01, "point x");
+
+  // Above the rotated block's corner, the same swing misses
+  const above = createBlade().set(at(-1, HALF * Math.SQRT2 + 0.02, 0), at(1, HALF * Math.SQRT2 + 0.02, 0));
+  assert.equal(above.intersectObject(block), null);
+});
+
+test("fast pass through a block within a single frame hits", () => {
+  const block = createBlock();
+  const blade = createBlade().set(at(-5, 0, 0), at(5, 0, 0));
+
+  // Neither the previous nor the current blade touches the block
+  const extents = vector(HALF, HALF, HALF);
+  for (const x of [-5, 5]) {
+    assert.equal(triangleIntersectsBox(vector(x, 0, 1), vector(x, 0, -1), vector(x, 0, -1), vector(0, 0, 0), extents), false);
+  }
+
+  const hit = blade.intersectObject(block);
+  assert.ok(hit);
+  assertClose(hit.time, (5 - HALF) / 10, 0.005, "time");
+});
+
+test("fast rotating swing through a block hits", () => {
+  // Blade from the origin along x, turned 180 degrees around y in one frame, sweeps over a block at z = -0.6
+  const blade = new BladeSweep(vector(0, 0, 0), vector(1, 0, 0));
+  const previous = new THREE.Matrix4();
+  const current = new THREE.Matrix4().makeRotationY(Math.PI - 1e-3);
+  blade.set(previous, current);
+  const block = createBlockAt(0, 0, -0.6);
+
+  const hit = blade.intersectObject(block);
+  assert.ok(hit);
+  assert.ok(hit.time > 0.3 && hit.time < 0.7, `time ${hit.time}`);
+});
+
+test("block moving through a resting blade hits", () => {
+  const blade = createBlade().set(at(0, 0, 0), at(0, 0, 0));
+  const block = createBlockAt(1, 0, 0);
+  const hit = blade.intersectObject(block, at(-1, 0, 0));
+  assert.ok(hit);
+  assertClose(hit.time, (1 - HALF) / 2, 0.005, "time");
+});
+
+test("near miss returns null", () => {
+  const block = createBlock();
+  // Just above the block
+  assert.equal(
+    createBlade()
+      .set(at(-1, HALF + 0.02, 0), at(1, HALF + 0.02, 0))
+      .intersectObject(block),
+    null,
+  );
+  // Stopping just short of it
+  assert.equal(
+    createBlade()
+      .set(at(-1, 0, 0), at(-HALF - 0.02, 0, 0))
+      .intersectObject(block),
+    null,
+  );
+  // Past its far side
+  assert.equal(
+    createBlade()
+      .set(at(-1, 0, 0), at(1, 0, 0))
+      .intersectObject(createBlockAt(0, 0, -1.3)),
+    null,
+  );
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GENERATOR_DIFFICULTIES, analyzeSong, createRandom, generateBeatmap } from "../src/mapGenerator.js";
+
+const SAMPLE_RATE = 44100;
+
+// A decoded-song stand-in with the AudioBuffer interface the generator reads. Every beat is a
+// short burst of noise; with subdivisions, quieter clicks fall between the beats.
+function createClickTrack({ bpm, firstBeat, duration = 30, subdivisions = 1, channels = 2 }) {
+  const length = Math.round(duration * SAMPLE_RATE);
+  const samples = new Float32Array(length);
+  const random = createRandom(7);
+  const interval = 60 / bpm / subdivisions;
+  for (let i = 0; firstBeat + i * interval < duration; i++) {
+    const start = Math.round((firstBeat + i * interval) * SAMPLE_RATE);
+    const amplitude = i % subdivisions === 0 ? 1 : 0.5;
+    for (let j = 0; j < 0.03 * SAMPLE_RATE && start + j < length; j++) {
+      samples[start + j] = amplitude * (random() * 2 - 1) * Math.exp(-j / (0.005 * SAMPLE_RATE));
+    }
+  }
+  return { sampleRate: SAMPLE_RATE, numberOfChannels: channels, length, getChannelData: () => samples };
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Where the first beat lands within a beat, so offsets a whole beat apart compare equal
+function beatPhase(seconds, bpm) {
+  const period = 60 / bpm;
+  return (((seconds % period) + period) % period) / period;
+}
+
+const analysis = analyzeSong(createClickTrack({ bpm: 120, firstBeat: 0.3, subdivisions: 2 }));
+
+test("analyzeSong finds the tempo and first beat of a click track", () => {
+  const { bpm, offset, duration, onsets } = analyzeSong(createClickTrack({ bpm: 100, firstBeat: 0.25, channels: 1 }));
+  assert.equal(bpm, 100);
+  assertClose(beatPhase(offset, bpm), beatPhase(0.25, bpm), 0.05, "beat phase");
+  assert.equal(duration, 30);
+  // One onset per click
+  assertClose(onsets.length, (30 - 0.25) / 0.6, 2, "onsets");
+});
+
+test("analyzeSong keeps the beat when quieter clicks fall between the beats", () => {
+  assert.equal(analysis.bpm, 120);
+  assertClose(beatPhase(analysis.offset, analysis.bpm), beatPhase(0.3, analysis.bpm), 0.05, "beat phase");
+});
+
+test("analyzeSong gives the same result for the same samples", () => {
+  assert.deepEqual(analyzeSong(createClickTrack({ bpm: 120, firstBeat: 0.3, subdivisions: 2 })), analysis);
+});
+
+test("generateBeatmap is deterministic for a seed", () => {
+  const map = generateBeatmap(analysis, { difficulty: "Hard", seed: 42 });
+  assert.deepEqual(generateBeatmap(analysis, { difficulty: "Hard", seed: 42 }), map);
+  assert.notDeepEqual(generateBeatmap(analysis, { difficulty: "Hard", seed: 43 }).notes, map.notes);
+  assert.equal(map.bpm, 120);
+  assert.ok(map.notes.length > 0);
+});
+
+test("generateBeatmap puts more notes in harder difficulties", () => {
+  const counts = Object.keys(GENERATOR_DIFFICULTIES).map((difficulty) => generateBeatmap(analysis, { difficulty }).notes.length);
+  assert.deepEqual(Object.keys(GENERATOR_DIFFICULTIES), ["Easy", "Normal", "Hard", "Expert"]);
+  counts.slice(1).forEach((count, i) => assert.ok(count > counts[i], `${count} notes after ${counts[i]}`));
+});
+
+test("generateBeatmap places notes on the beat grid after the lead-in", () => {
+  const { notes } = generateBeatmap(analysis, { difficulty: "Expert" });
+  notes.forEach((note) => {
+    assert.equal(note.time * 4, Math.round(note.time * 4));
+    // The first two seconds are left empty
+    assert.ok(analysis.offset + (note.time * 60) / analysis.bpm >= 2);
+  });
+});
+
+test("generateBeatmap rejects an unknown difficulty", () => {
+  assert.throws(() => generateBeatmap(analysis, { difficulty: "Impossible" }), /Unknown difficulty/);
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ACCURACY_RANGE,
+  MAX_CUT_SCORE,
+  POST_SWING_FULL_ANGLE,
+  POST_SWING_WINDOW,
+  PRE_SWING_WINDOW,
+  ScoreKeeper,
+  SwingTracker,
+  maxScoreForNotes,
+  scoreCut,
+} from "../src/scoring.js";
+
+// Blade direction at an angle in degrees within the xy plane
+function direction(degrees) {
+  const radians = (degrees * Math.PI) / 180;
+  return { x: Math.cos(radians), y: Math.sin(radians), z: 0 };
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+const PERFECT_CUT = { preSwingAngle: 100, postSwingAngle: 60, centerDistance: 0 };
+
+test("scoreCut gives full points for a full swing through the center", () => {
+  assert.deepEqual(scoreCut(PERFECT_CUT), { ...PERFECT_CUT, preSwing: 70, postSwing: 30, accuracy: 15, total: MAX_CUT_SCORE });
+  assert.equal(MAX_CUT_SCORE, 115);
+});
+
+test("scoreCut scales each part with the swing and the distance from the center", () => {
+  const cut = scoreCut({ preSwingAngle: 50, postSwingAngle: 30, centerDistance: ACCURACY_RANGE / 2 });
+  assert.equal(cut.preSwing, 35);
+  assert.equal(cut.postSwing, 15);
+  assert.equal(cut.accuracy, 8);
+  assert.equal(cut.total, 58);
+});
+
+test("scoreCut clamps swings past the full angle and cuts outside the accuracy range", () => {
+  const cut = scoreCut({ preSwingAngle: 250, postSwingAngle: 180, centerDistance: 1 });
+  assert.equal(cut.preSwing, 70);
+  assert.equal(cut.postSwing, 30);
+  assert.equal(cut.accuracy, 0);
+  assert.equal(scoreCut({ preSwingAngle: 0, postSwingAngle: 0, centerDistance: 0 }).total, 15);
+});
+
+test("maxScoreForNotes follows the multiplier steps", () => {
+  assert.equal(maxScoreForNotes(0), 0);
+  assert.equal(maxScoreForNotes(1), MAX_CUT_SCORE);
+  assert.equal(maxScoreForNotes(2), MAX_CUT_SCORE * 2);
+  // Two notes at x1, then x2
+  assert.equal(maxScoreForNotes(3), MAX_CUT_SCORE * (2 + 2));
+  // Two at x1, four at x2 and eight at x4, then x8 for the rest
+  assert.equal(maxScoreForNotes(14), MAX_CUT_SCORE * (2 + 8 + 32));
+  assert.equal(maxScoreForNotes(20), MAX_CUT_SCORE * (2 + 8 + 32 + 6 * 8));
+});
+
+test("ScoreKeeper doubles the multiplier after each step and resets it on a miss", () => {
+  const keeper = new ScoreKeeper();
+  const multipliers = [];
+  for (let i = 0; i < 16; i++) {
+    multipliers.push(keeper.beginCut().multiplier);
+  }
+  assert.deepEqual(multipliers, [1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 4, 4, 4, 8, 8]);
+  assert.equal(keeper.combo, 16);
+
+  keeper.registerMiss();
+  assert.equal(keeper.multiplier, 1);
+  assert.equal(keeper.combo, 0);
+  assert.equal(keeper.maxCombo, 16);
+});
+
+test("ScoreKeeper scores a cut with the multiplier it began at", () => {
+  const keeper = new ScoreKeeper();
+  keeper.beginCut();
+  const pending = keeper.beginCut();
+  // The multiplier went up with this cut, but only counts from the next one
+  assert.equal(keeper.multiplier, 2);
+  const cut = keeper.finishCut(pending, scoreCut(PERFECT_CUT));
+  assert.equal(cut.multiplier, 1);
+  assert.equal(cut.score, MAX_CUT_SCORE);
+});
+
+test("ScoreKeeper accuracy compares the score with the best reachable for the finished notes", () => {
+  const keeper = new ScoreKeeper();
+  assert.equal(keeper.accuracy, 1);
+
+  const first = keeper.beginCut();
+  const second = keeper.beginCut();
+  // Cuts waiting for their follow-through don't count yet
+  keeper.finishCut(first, scoreCut(PERFECT_CUT));
+  assert.equal(keeper.accuracy, 1);
+  keeper.finishCut(second, scoreCut({ ...PERFECT_CUT, postSwingAngle: 0 }));
+  assert.equal(keeper.accuracy, (MAX_CUT_SCORE * 2 - 30) / (MAX_CUT_SCORE * 2));
+
+  // A miss counts as a note scored zero at the multiplier a perfect run would have had
+  keeper.registerMiss();
+  assert.equal(keeper.accuracy, (MAX_CUT_SCORE * 2 - 30) / maxScoreForNotes(3));
+
+  // Bombs are not notes
+  keeper.registerBombHit();
+  assert.equal(keeper.accuracy, (MAX_CUT_SCORE * 2 - 30) / maxScoreForNotes(3));
+});
+
+test("SwingTracker sums the pre-swing while the blade keeps turning the same way", () => {
+  const tracker = new SwingTracker();
+  assert.equal(tracker.getPreSwingAngle(), 0);
+  [0, 20, 40, 60, 80].forEach((angle, i) => tracker.addSample(direction(angle), i * 0.05));
+  assertClose(tracker.getPreSwingAngle(), 80, 1e-9, "pre-swing");
+});
+
+test("SwingTracker pre-swing stops where the blade turned the other way", () => {
+  const tracker = new SwingTracker();
+  [30, 0, 20, 40].forEach((angle, i) => tracker.addSample(direction(angle), i * 0.05));
+  assertClose(tracker.getPreSwingAngle(), 40, 1e-9, "pre-swing");
+});
+
+test("SwingTracker pre-swing only looks back over the pre-swing window", () => {
+  const tracker = new SwingTracker();
+  const step = 0.1;
+  for (let i = 0; i <= 10; i++) {
+    tracker.addSample(direction(i * 10), i * step);
+  }
+  const samplesInWindow = Math.floor(PRE_SWING_WINDOW / step);
+  assertClose(tracker.getPreSwingAngle(), samplesInWindow * 10, 1e-9, "pre-swing");
+});
+
+test("SwingTracker reports the post-swing once it reaches the full angle", () => {
+  const tracker = new SwingTracker();
+  tracker.addSample(direction(0), 0);
+  const angles = [];
+  tracker.trackFollowThrough((angle) => angles.push(angle));
+
+  [25, 50].forEach((angle, i) => tracker.addSample(direction(angle), (i + 1) * 0.02));
+  assert.deepEqual(angles, []);
+  // Reported with the first sample at or past the full angle
+  tracker.addSample(direction(75), 0.06);
+  assert.equal(angles.length, 1);
+  assert.ok(angles[0] >= POST_SWING_FULL_ANGLE);
+  assertClose(angles[0], 75, 1e-9, "post-swing");
+});
+
+test("SwingTracker ends the post-swing when the blade turns back", () => {
+  const tracker = new SwingTracker();
+  tracker.addSample(direction(0), 0);
+  const angles = [];
+  tracker.trackFollowThrough((angle) => angles.push(angle));
+  [15, 30, 20].forEach((angle, i) => tracker.addSample(direction(angle), (i + 1) * 0.02));
+  assert.equal(angles.length, 1);
+  assertClose(angles[0], 30, 1e-9, "post-swing");
+});
+
+test("SwingTracker ends the post-swing after its window, and flush reports what was measured", () => {
+  const tracker = new SwingTracker();
+  tracker.addSample(direction(0), 0);
+  const angles = [];
+  tracker.trackFollowThrough((angle) => angles.push(angle));
+  tracker.addSample(direction(10), POST_SWING_WINDOW / 2);
+  tracker.addSample(direction(20), POST_SWING_WINDOW);
+  assert.equal(angles.length, 1);
+  assertClose(angles[0], 20, 1e-9, "post-swing");
+
+  tracker.trackFollowThrough((angle) => angles.push(angle));
+  tracker.addSample(direction(25), POST_SWING_WINDOW + 0.02);
+  tracker.flush();
+  assert.equal(angles.length, 2);
+  assertClose(angles[1], 5, 1e-9, "flushed post-swing");
+});
@@ -1,8 +1,50 @@
+import { createHash } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
 import basicSsl from "@vitejs/plugin-basic-ssl";
 
+// The multiplayer relay (npm run relay) is reached through /relay, so it works over https too
+const relayProxy = {
+  "/relay": { target: "ws://127.0.0.1:8787", ws: true },
+};
+
+// Writes the hashed build output (scripts, styles, fonts) into the service worker's precache list,
+// with a version from their names so a new build replaces the old cache
+function precacheBuildAssets() {
+  let config;
+  let assets = [];
+  return {
+    name: "precache-build-assets",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(options, bundle) {
+      assets = Object.keys(bundle)
+        .filter((fileName) => fileName.startsWith(`${config.build.assetsDir}/`) && !fileName.endsWith(".map"))
+        .sort();
+    },
+    async writeBundle(options) {
+      const file = path.join(options.dir, "sw.js");
+      const version = createHash("sha256").update(assets.join("\n")).digest("hex").slice(0, 8);
+      const source = await readFile(file, "utf8");
+      await writeFile(
+        file,
+        source
+          .replace('const BUILD_VERSION = "dev";', `const BUILD_VERSION = ${JSON.stringify(version)};`)
+          .replace("const BUILD_ASSETS = [];", `const BUILD_ASSETS = ${JSON.stringify(assets)};`),
+      );
+    },
+  };
+}
+
 export default {
-  plugins: [basicSsl()],
+  plugins: [basicSsl(), precacheBuildAssets()],
   server: {
     https: true,
+    proxy: relayProxy,
+  },
+  preview: {
+    proxy: relayProxy,
   },
 };